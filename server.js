@@ -9,17 +9,51 @@ const url = require('url'); // 引入URL模块
 const config = require('./src/config');
 const StreamHandler = require('./src/websocket-manager');
 const DataProcessor = require('./src/data-processor');
+const EgressPolicy = require('./src/egress-policy');
+const ConnectionQuota = require('./src/connection-quota');
+const RateLimiter = require('./src/rate-limiter');
+const AdminAuth = require('./src/admin-auth');
+const ConfigValidator = require('./src/config-validator');
 
 // 定义代理WebSocket的特定路径
 const PROXY_WEBSOCKET_PATH = '/ws/realtime-data';
 
+// 平台健康检查路径（与 render.yaml 的 healthCheckPath 保持一致），不参与限流
+const HEALTH_CHECK_PATH = '/health';
+
+// 启动前校验配置：生产环境下密钥缺失、为占位值或强度不足时拒绝启动
+// 限流与配额数值或出站策略列表无效时在任何环境下都拒绝启动，否则限制会被静默关闭
+const configValidator = new ConfigValidator(config);
+try {
+  configValidator.assertValid();
+} catch (error) {
+  if (config.server.env === 'production') {
+    console.error(`[Config] Refusing to start in production. ${error.message}`);
+    process.exit(1);
+  }
+  if (configValidator.validateLimits().length > 0 || configValidator.validateEgress().length > 0) {
+    console.error(`[Config] Refusing to start with invalid limits or egress policy. ${error.message}`);
+    process.exit(1);
+  }
+  console.warn(`[Config] ${error.message}`);
+}
+
 // 创建 Express 应用和 HTTP 服务器
 const app = express();
 const server = http.createServer(app);
 
 // 创建核心分析处理器
-const streamHandler = new StreamHandler();
 const dataProcessor = new DataProcessor();
+const egressPolicy = new EgressPolicy();
+const connectionQuota = new ConnectionQuota();
+const streamHandler = new StreamHandler({ dataProcessor, egressPolicy, connectionQuota });
+
+// 请求频率限制：HTTP 路由与 WebSocket 升级分别计数
+const httpRateLimiter = new RateLimiter(config.security.rateLimit);
+const upgradeRateLimiter = new RateLimiter(config.security.rateLimit.upgrades);
+
+// 管理接口认证
+const adminAuth = new AdminAuth();
 
 // 创建 WebSocket 服务器，但不立即附加到HTTP服务器
 // noServer: true 允许我们手动处理升级请求
@@ -29,14 +63,18 @@ const wss = new WebSocket.Server({ noServer: true });
 app.use(helmet(config.security.helmet));
 app.use(cors(config.security.cors));
 app.use(compression());
+app.use(httpRateLimiter.middleware({ exemptPaths: [HEALTH_CHECK_PATH] }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // 静态文件服务
 app.use(express.static(path.join(__dirname, 'public')));
 
+// 管理接口认证
+app.use('/api', adminAuth.middleware());
+
 // 健康检查端点
-app.get('/health', (req, res) => {
+app.get(HEALTH_CHECK_PATH, (req, res) => {
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
@@ -52,7 +90,7 @@ app.get('/', (req, res) => {
 
 // 连接统计端点
 app.get('/api/connections/stats', (req, res) => {
-  const stats = streamHandler.getConnectionStats();
+  const stats = streamHandler.getConnectionStats({ includeFullIps: req.admin.privileged });
   res.json({
     success: true,
     data: stats,
@@ -62,7 +100,11 @@ app.get('/api/connections/stats', (req, res) => {
 
 // 数据处理统计端点
 app.get('/api/processor/stats', (req, res) => {
-  const stats = dataProcessor.getProtocolStats();
+  const stats = {
+    ...dataProcessor.getProtocolStats(),
+    egress: egressPolicy.getStats(),
+    quotas: connectionQuota.getStats()
+  };
   res.json({
     success: true,
     data: stats,
@@ -73,6 +115,13 @@ app.get('/api/processor/stats', (req, res) => {
 // 手动处理 WebSocket 升级请求
 server.on('upgrade', (request, socket, head) => {
   console.log(`[Server] Received WebSocket upgrade request for URL: ${request.url}`);
+  const clientIp = RateLimiter.getClientIp(request);
+  if (!upgradeRateLimiter.hit(clientIp).allowed) {
+    console.warn(`[Server] WebSocket upgrade rate limit exceeded for ${clientIp}`);
+    socket.end('HTTP/1.1 429 Too Many Requests\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+    return;
+  }
+
   const { pathname } = new URL(request.url, `http://${request.headers.host}`);
   
   if (pathname === PROXY_WEBSOCKET_PATH) {
@@ -87,12 +136,14 @@ server.on('upgrade', (request, socket, head) => {
 
 // WebSocket 连接处理逻辑
 wss.on('connection', (ws, req) => {
-  const clientIp = req.socket.remoteAddress;
+  const clientIp = RateLimiter.getClientIp(req);
   console.log(`[WebSocket] New client connection from ${clientIp} for path ${req.url}`);
   
   // 使用 streamHandler 处理已验证的图表连接
   const connectionId = streamHandler.handleChartConnection(ws, req);
-  console.log(`[WebSocket] Successfully established connection: ${connectionId}`);
+  if (connectionId) {
+    console.log(`[WebSocket] Successfully established connection: ${connectionId}`);
+  }
 });
 
 
@@ -127,6 +178,12 @@ server.listen(PORT, HOST, () => {
   console.log(`[Server] Listening on: http://${HOST}:${PORT}`);
   console.log(`[Server] Environment: ${config.server.env}`);
   console.log(`[Server] Real-time Data Endpoint: ws://${HOST}:${PORT}${PROXY_WEBSOCKET_PATH}`);
+  if (!adminAuth.isConfigured()) {
+    console.warn('[Server] ADMIN_TOKEN is not set; /api admin routes will reject every request');
+  }
+  if (dataProcessor.clientRegistry.getStats().authorized === 0) {
+    console.warn('[Server] No authorized client IDs configured; all data stream requests will be rejected');
+  }
 });
 
 // 优雅关机
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const config = require('./config');
+
+/**
+ * Admin Authentication
+ * Bearer token check for the /api admin routes. There is no default token:
+ * when none is configured every request is refused. The privileged token
+ * grants the same access plus unredacted client details.
+ */
+class AdminAuth {
+  /**
+   * @param {Object} [options] - Overrides for config.security.admin
+   * @param {string|null} [options.token] - Admin token
+   * @param {string|null} [options.privilegedToken] - Token for the privileged scope
+   */
+  constructor(options = {}) {
+    const { token, privilegedToken } = { ...config.security.admin, ...options };
+    this.tokenDigest = token ? AdminAuth.digest(token) : null;
+    this.privilegedTokenDigest = privilegedToken ? AdminAuth.digest(privilegedToken) : null;
+  }
+
+  /**
+   * Hash a token so comparisons run in constant time regardless of length
+   * @param {string} value - Token
+   * @returns {Buffer} SHA-256 digest
+   */
+  static digest(value) {
+    return crypto.createHash('sha256').update(String(value)).digest();
+  }
+
+  /**
+   * Whether any admin credential is configured
+   * @returns {boolean} Whether admin access is possible
+   */
+  isConfigured() {
+    return Boolean(this.tokenDigest || this.privilegedTokenDigest);
+  }
+
+  /**
+   * Authenticate a request from its Authorization header
+   * @param {Object} req - HTTP request
+   * @returns {{privileged: boolean}|null} Granted scope, or null when not authenticated
+   */
+  authenticate(req) {
+    const header = (req.headers && req.headers.authorization) || '';
+    const match = /^Bearer\s+(\S+)$/i.exec(header);
+    if (!match) {
+      return null;
+    }
+
+    const presented = AdminAuth.digest(match[1]);
+    if (this.privilegedTokenDigest && crypto.timingSafeEqual(presented, this.privilegedTokenDigest)) {
+      return { privileged: true };
+    }
+    if (this.tokenDigest && crypto.timingSafeEqual(presented, this.tokenDigest)) {
+      return { privileged: false };
+    }
+    return null;
+  }
+
+  /**
+   * Create Express middleware that answers 401 unless the request carries a
+   * valid admin token. The granted scope is stored on `req.admin`.
+   * @returns {Function} Express middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      const scope = this.authenticate(req);
+      if (!scope) {
+        res.setHeader('WWW-Authenticate', 'Bearer realm="admin"');
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'A valid admin token is required'
+        });
+      }
+      req.admin = scope;
+      next();
+    };
+  }
+}
+
+module.exports = AdminAuth;
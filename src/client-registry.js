@@ -0,0 +1,219 @@
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const config = require('./config');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Client Registry
+ * Holds the set of client IDs allowed to open data streams. IDs come from the
+ * environment and, optionally, from a JSON file that is reloaded when it changes.
+ * Revoked IDs always win over authorized ones.
+ *
+ * Emits 'change' whenever the set of accepted IDs may have shrunk or grown,
+ * so holders of live streams can re-check them.
+ */
+class ClientRegistry extends EventEmitter {
+  /**
+   * @param {Object} [options] - Overrides for config.security.clientAuth
+   * @param {string|string[]} [options.clientIds] - Authorized client IDs
+   * @param {string|string[]} [options.revokedClientIds] - Revoked client IDs
+   * @param {string|null} [options.clientIdsFile] - Path to the JSON client list
+   * @param {number} [options.reloadInterval] - File polling interval in milliseconds
+   * @param {boolean} [options.watch=true] - Reload the client list file when it changes
+   */
+  constructor(options = {}) {
+    super();
+    this.options = { ...config.security.clientAuth, ...options };
+    this.staticAuthorized = ClientRegistry.parseIdList(this.options.clientIds);
+    this.staticRevoked = ClientRegistry.parseIdList(this.options.revokedClientIds);
+    this.fileAuthorized = new Set();
+    this.fileRevoked = new Set();
+    this.runtimeRevoked = new Set();
+    this.watching = false;
+    this.loadError = null;
+
+    if (this.options.clientIdsFile) {
+      this.reload();
+      if (this.options.watch !== false) {
+        this.watch();
+      }
+    }
+  }
+
+  /**
+   * Normalize a client ID to lowercase canonical UUID form
+   * @param {string} id - Client ID
+   * @returns {string|null} Normalized ID, or null when the ID is malformed
+   */
+  static normalizeId(id) {
+    if (typeof id !== 'string') {
+      return null;
+    }
+    const normalized = id.trim().toLowerCase();
+    return UUID_PATTERN.test(normalized) ? normalized : null;
+  }
+
+  /**
+   * Format 16 raw bytes as a canonical UUID string
+   * @param {Buffer} buffer - 16-byte UUID
+   * @returns {string} UUID string
+   */
+  static formatUuid(buffer) {
+    const hex = buffer.toString('hex');
+    return [
+      hex.slice(0, 8),
+      hex.slice(8, 12),
+      hex.slice(12, 16),
+      hex.slice(16, 20),
+      hex.slice(20, 32)
+    ].join('-');
+  }
+
+  /**
+   * Parse a comma separated string or an array into a set of normalized IDs.
+   * Malformed entries are logged and ignored.
+   * @param {string|string[]|undefined} list - ID list
+   * @returns {Set<string>} Normalized IDs
+   */
+  static parseIdList(list) {
+    const entries = Array.isArray(list) ? list : String(list || '').split(',');
+    const ids = new Set();
+
+    for (const entry of entries) {
+      if (typeof entry === 'string' && entry.trim() === '') {
+        continue;
+      }
+      const id = ClientRegistry.normalizeId(entry);
+      if (id) {
+        ids.add(id);
+      } else {
+        console.warn(`[Auth] Ignoring malformed client ID entry: ${entry}`);
+      }
+    }
+
+    return ids;
+  }
+
+  /**
+   * Reload the client list file. On a read or parse error the previous
+   * file entries are kept so a bad edit does not lock everyone out, and the
+   * error message is kept in `loadError`.
+   * @returns {boolean} Whether the file was loaded
+   */
+  reload() {
+    const file = this.options.clientIdsFile;
+    if (!file) {
+      return false;
+    }
+
+    try {
+      const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+      this.fileAuthorized = ClientRegistry.parseIdList(content.authorized || []);
+      this.fileRevoked = ClientRegistry.parseIdList(content.revoked || []);
+      this.loadError = null;
+      console.log(`[Auth] Loaded client list from ${file}: ${this.fileAuthorized.size} authorized, ${this.fileRevoked.size} revoked`);
+      this.emit('change');
+      return true;
+    } catch (error) {
+      console.error(`[Auth] Failed to load client list from ${file}:`, error.message);
+      this.loadError = error.message;
+      return false;
+    }
+  }
+
+  /**
+   * Start polling the client list file for changes
+   */
+  watch() {
+    if (this.watching) {
+      return;
+    }
+
+    const watcher = fs.watchFile(
+      this.options.clientIdsFile,
+      { interval: this.options.reloadInterval, persistent: false },
+      (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) {
+          this.reload();
+        }
+      }
+    );
+    if (watcher && typeof watcher.unref === 'function') {
+      watcher.unref();
+    }
+    this.watching = true;
+  }
+
+  /**
+   * Stop polling the client list file
+   */
+  close() {
+    if (this.watching) {
+      fs.unwatchFile(this.options.clientIdsFile);
+      this.watching = false;
+    }
+  }
+
+  /**
+   * Revoke a client ID for the lifetime of this process
+   * @param {string} id - Client ID
+   * @returns {boolean} Whether the ID was well-formed and revoked
+   */
+  revoke(id) {
+    const normalized = ClientRegistry.normalizeId(id);
+    if (!normalized) {
+      return false;
+    }
+    this.runtimeRevoked.add(normalized);
+    this.emit('change');
+    return true;
+  }
+
+  /**
+   * Check whether a client ID is revoked
+   * @param {string} id - Normalized client ID
+   * @returns {boolean} Whether the ID is revoked
+   */
+  isRevoked(id) {
+    return this.staticRevoked.has(id) || this.fileRevoked.has(id) || this.runtimeRevoked.has(id);
+  }
+
+  /**
+   * Check a client ID against the registry
+   * @param {string|Buffer} id - Client ID string or 16 raw bytes
+   * @returns {{authorized: boolean, id?: string, reason?: 'malformed'|'revoked'|'unknown'}} Check result
+   */
+  check(id) {
+    let normalized = null;
+    if (Buffer.isBuffer(id)) {
+      normalized = id.length === 16 ? ClientRegistry.formatUuid(id) : null;
+    } else {
+      normalized = ClientRegistry.normalizeId(id);
+    }
+
+    if (!normalized) {
+      return { authorized: false, reason: 'malformed' };
+    }
+    if (this.isRevoked(normalized)) {
+      return { authorized: false, reason: 'revoked' };
+    }
+    if (!this.staticAuthorized.has(normalized) && !this.fileAuthorized.has(normalized)) {
+      return { authorized: false, reason: 'unknown' };
+    }
+    return { authorized: true, id: normalized };
+  }
+
+  /**
+   * Get registry size summary
+   * @returns {Object} Counts of authorized and revoked IDs
+   */
+  getStats() {
+    return {
+      authorized: new Set([...this.staticAuthorized, ...this.fileAuthorized]).size,
+      revoked: new Set([...this.staticRevoked, ...this.fileRevoked, ...this.runtimeRevoked]).size
+    };
+  }
+}
+
+module.exports = ClientRegistry;
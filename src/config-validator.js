@@ -0,0 +1,199 @@
+const ClientRegistry = require('./client-registry');
+const EgressPolicy = require('./egress-policy');
+
+// Minimum length for tokens and keys
+const MIN_SECRET_LENGTH = 32;
+
+// Minimum number of distinct characters, catches values like 'aaaa...' or '1212...'
+const MIN_DISTINCT_CHARACTERS = 10;
+
+// Fragments that mark a value as a placeholder rather than a real secret
+const PLACEHOLDER_PATTERN = /default|change[-_ ]?me|placeholder|example|your[-_]|replace|todo|dummy|sample|secret|password/i;
+
+// Client IDs that have been published and must never be accepted
+const KNOWN_PUBLIC_CLIENT_IDS = new Set([
+  '00000000-0000-0000-0000-000000000000',
+  'b9f46d3c-13ff-4c8f-b3ee-6b130cf0ce83'
+]);
+
+/**
+ * Error thrown when the configuration is not safe to run with
+ */
+class ConfigValidationError extends Error {
+  /**
+   * @param {string[]} problems - Every problem found
+   */
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigValidationError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Config Validator
+ * Checks the secrets in the configuration at startup and collects every
+ * problem instead of stopping at the first one.
+ */
+class ConfigValidator {
+  /**
+   * @param {Object} config - Configuration object (see src/config.js)
+   */
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Check a single secret value
+   * @param {string} name - Environment variable name, used in messages
+   * @param {string|null|undefined} value - Secret value
+   * @param {Object} [options] - Check options
+   * @param {boolean} [options.required=true] - Whether a missing value is a problem
+   * @returns {string[]} Problems found
+   */
+  static checkSecret(name, value, { required = true } = {}) {
+    if (value === null || value === undefined || String(value).trim() === '') {
+      return required ? [`${name} is not set`] : [];
+    }
+
+    const secret = String(value);
+    const problems = [];
+    if (PLACEHOLDER_PATTERN.test(secret)) {
+      problems.push(`${name} looks like a placeholder value`);
+    }
+    if (secret.length < MIN_SECRET_LENGTH) {
+      problems.push(`${name} must be at least ${MIN_SECRET_LENGTH} characters long`);
+    }
+    if (new Set(secret).size < MIN_DISTINCT_CHARACTERS) {
+      problems.push(`${name} is too predictable (fewer than ${MIN_DISTINCT_CHARACTERS} distinct characters)`);
+    }
+    return problems;
+  }
+
+  /**
+   * Check the authorized client ID configuration. The client list file is
+   * loaded the same way the server loads it, so an unreadable or empty file
+   * is caught here rather than at the first connection.
+   * @returns {string[]} Problems found
+   */
+  checkClientIds() {
+    const { clientIds, clientIdsFile } = this.config.security.clientAuth;
+    const entries = String(clientIds || '').split(',').map(entry => entry.trim()).filter(Boolean);
+    const problems = [];
+
+    if (entries.length === 0 && !clientIdsFile) {
+      problems.push('AUTHORIZED_CLIENT_IDS or AUTHORIZED_CLIENTS_FILE must be set');
+    }
+    for (const entry of entries) {
+      const id = ClientRegistry.normalizeId(entry);
+      if (!id) {
+        problems.push(`AUTHORIZED_CLIENT_IDS contains a malformed UUID: ${entry}`);
+      } else if (KNOWN_PUBLIC_CLIENT_IDS.has(id)) {
+        problems.push(`AUTHORIZED_CLIENT_IDS contains a publicly known UUID: ${id}`);
+      }
+    }
+
+    if (clientIdsFile) {
+      const registry = new ClientRegistry({
+        clientIds: '',
+        revokedClientIds: '',
+        clientIdsFile,
+        watch: false
+      });
+
+      if (registry.loadError) {
+        problems.push(`AUTHORIZED_CLIENTS_FILE could not be loaded: ${registry.loadError}`);
+      } else if (registry.fileAuthorized.size === 0) {
+        problems.push('AUTHORIZED_CLIENTS_FILE lists no authorized client IDs');
+      }
+      for (const id of registry.fileAuthorized) {
+        if (KNOWN_PUBLIC_CLIENT_IDS.has(id)) {
+          problems.push(`AUTHORIZED_CLIENTS_FILE contains a publicly known UUID: ${id}`);
+        }
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Check the numeric limits read from the environment. An invalid value is
+   * never replaced by a default: it would silently change or disable a limit.
+   * @returns {string[]} Problems found
+   */
+  validateLimits() {
+    const { rateLimit, quotas } = this.config.security;
+    const limits = [
+      ['UPGRADE_RATE_LIMIT', rateLimit.upgrades.max],
+      ['MAX_CONNECTIONS_PER_IP', quotas.maxConnectionsPerIp],
+      ['MAX_STREAMS_PER_CLIENT', quotas.maxStreamsPerClient],
+      ['CLIENT_BYTE_QUOTA', quotas.bytesPerWindow],
+      ['CLIENT_BYTE_QUOTA_WINDOW_MS', quotas.byteWindowMs]
+    ];
+
+    return limits
+      .filter(([, value]) => !Number.isSafeInteger(value) || value <= 0)
+      .map(([name]) => `${name} must be a positive integer`);
+  }
+
+  /**
+   * Check the egress CIDR and port lists with the same parsers EgressPolicy
+   * uses, so a bad value is reported here instead of thrown at startup.
+   * @returns {string[]} Problems found
+   */
+  validateEgress() {
+    const { egress } = this.config.security;
+    const lists = [
+      ['EGRESS_ALLOW_CIDRS', egress.allowCidrs, EgressPolicy.parseCidrList],
+      ['EGRESS_DENY_CIDRS', egress.denyCidrs, EgressPolicy.parseCidrList],
+      ['EGRESS_ALLOWED_PORTS', egress.allowedPorts, EgressPolicy.parsePortList],
+      ['EGRESS_DENIED_PORTS', egress.deniedPorts, EgressPolicy.parsePortList]
+    ];
+
+    const problems = [];
+    for (const [name, value, parse] of lists) {
+      try {
+        parse(value);
+      } catch (error) {
+        problems.push(`${name} is invalid: ${error.message}`);
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Collect every configuration problem
+   * @returns {string[]} Problems found, empty when the configuration is valid
+   */
+  validate() {
+    const { dataSource, security } = this.config;
+    const problems = [
+      ...ConfigValidator.checkSecret('ANALYTICS_API_KEY', dataSource.primary.apiKey),
+      ...ConfigValidator.checkSecret('STREAM_AUTH_TOKEN', dataSource.streaming.token),
+      ...ConfigValidator.checkSecret('ADMIN_TOKEN', security.admin.token),
+      ...ConfigValidator.checkSecret('ADMIN_PRIVILEGED_TOKEN', security.admin.privilegedToken, { required: false }),
+      ...this.checkClientIds(),
+      ...this.validateLimits(),
+      ...this.validateEgress()
+    ];
+
+    if (security.admin.token && security.admin.token === security.admin.privilegedToken) {
+      problems.push('ADMIN_PRIVILEGED_TOKEN must differ from ADMIN_TOKEN');
+    }
+    return problems;
+  }
+
+  /**
+   * Throw when the configuration has any problem
+   * @throws {ConfigValidationError} Listing every problem found
+   */
+  assertValid() {
+    const problems = this.validate();
+    if (problems.length > 0) {
+      throw new ConfigValidationError(problems);
+    }
+  }
+}
+
+ConfigValidator.ConfigValidationError = ConfigValidationError;
+
+module.exports = ConfigValidator;
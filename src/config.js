@@ -1,4 +1,20 @@
 // 配置管理模块
+
+/**
+ * 读取整数环境变量
+ * 未设置时返回默认值；格式不正确（如 "64k"）时返回 NaN，由启动校验统一报告
+ * @param {string} name - 环境变量名
+ * @param {number} defaultValue - 默认值
+ * @returns {number} 解析结果
+ */
+function readIntegerEnv(name, defaultValue) {
+  const value = (process.env[name] || '').trim();
+  if (value === '') {
+    return defaultValue;
+  }
+  return /^\d+$/.test(value) ? Number(value) : NaN;
+}
+
 const config = {
   // 服务器配置
   server: {
@@ -11,14 +27,14 @@ const config = {
   dataSource: {
     // 主数据流配置
     primary: {
-      apiKey: process.env.ANALYTICS_API_KEY || 'default-analytics-key',
+      apiKey: process.env.ANALYTICS_API_KEY || null,
       endpoint: process.env.DATA_SOURCE_PATH || '/api/v1/data',
       format: 'json'
     },
 
     // 流数据配置
     streaming: {
-      token: process.env.STREAM_AUTH_TOKEN || 'default-stream-token',
+      token: process.env.STREAM_AUTH_TOKEN || null,
       endpoint: process.env.STREAM_ENDPOINT || '/api/v2/stream'
     },
 
@@ -69,10 +85,62 @@ const config = {
       allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
     },
 
+    // 客户端身份认证
+    clientAuth: {
+      // 授权的客户端 UUID（逗号分隔）
+      clientIds: process.env.AUTHORIZED_CLIENT_IDS || '',
+      // 授权列表文件（JSON: { "authorized": [...], "revoked": [...] }），修改后自动重新加载
+      clientIdsFile: process.env.AUTHORIZED_CLIENTS_FILE || null,
+      // 已吊销的客户端 UUID（逗号分隔），优先于授权列表
+      revokedClientIds: process.env.REVOKED_CLIENT_IDS || '',
+      // 授权列表文件轮询间隔 (毫秒)
+      reloadInterval: 5000
+    },
+
+    // 出站目标策略
+    egress: {
+      // 允许访问的 CIDR（逗号分隔），可放行默认禁止的保留地址段
+      allowCidrs: process.env.EGRESS_ALLOW_CIDRS || '',
+      // 额外禁止访问的 CIDR（逗号分隔），优先级最高
+      denyCidrs: process.env.EGRESS_DENY_CIDRS || '',
+      // 允许访问的目标端口（逗号分隔，支持 8000-8100 形式），留空表示不限制
+      allowedPorts: process.env.EGRESS_ALLOWED_PORTS !== undefined ? process.env.EGRESS_ALLOWED_PORTS : '80,443',
+      // 始终禁止的目标端口，默认屏蔽 SMTP 端口防止垃圾邮件中继
+      deniedPorts: process.env.EGRESS_DENIED_PORTS !== undefined ? process.env.EGRESS_DENIED_PORTS : '25,465,587'
+    },
+
+    // 管理接口认证（无默认值，未配置时拒绝所有 /api 请求）
+    admin: {
+      token: process.env.ADMIN_TOKEN || null,
+      // 特权令牌，可查看未脱敏的客户端 IP
+      privilegedToken: process.env.ADMIN_PRIVILEGED_TOKEN || null
+    },
+
+    // 是否信任反向代理的 X-Forwarded-For 头（部署在负载均衡之后时开启）
+    trustProxy: process.env.TRUST_PROXY === 'true',
+
     // 请求限制
     rateLimit: {
       windowMs: 15 * 60 * 1000, // 15分钟
-      max: 100 // 每个IP最多100个请求
+      max: 100, // 每个IP最多100个请求
+
+      // WebSocket 升级请求限制
+      upgrades: {
+        windowMs: 60 * 1000, // 1分钟
+        max: readIntegerEnv('UPGRADE_RATE_LIMIT', 120) // 每个IP每分钟最多120次升级
+      }
+    },
+
+    // 连接与流量配额
+    quotas: {
+      // 每个IP的最大并发 WebSocket 连接数
+      maxConnectionsPerIp: readIntegerEnv('MAX_CONNECTIONS_PER_IP', 64),
+      // 每个客户端 ID 的最大并发数据流数
+      maxStreamsPerClient: readIntegerEnv('MAX_STREAMS_PER_CLIENT', 128),
+      // 每个客户端 ID 在每个时间窗口内的最大转发字节数（双向合计）
+      bytesPerWindow: readIntegerEnv('CLIENT_BYTE_QUOTA', 10 * 1024 * 1024 * 1024), // 10GB
+      // 流量配额时间窗口 (毫秒)
+      byteWindowMs: readIntegerEnv('CLIENT_BYTE_QUOTA_WINDOW_MS', 24 * 60 * 60 * 1000) // 24小时
     },
 
     // 头部安全
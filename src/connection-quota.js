@@ -0,0 +1,141 @@
+const config = require('./config');
+
+/**
+ * Connection Quota
+ * Tracks concurrent connections per IP and per client ID, and the number of
+ * bytes each client ID relays within a fixed time window.
+ */
+class ConnectionQuota {
+  /**
+   * @param {Object} [options] - Overrides for config.security.quotas
+   * @param {number} [options.maxConnectionsPerIp] - Concurrent WebSocket connections per IP
+   * @param {number} [options.maxStreamsPerClient] - Concurrent relayed streams per client ID
+   * @param {number} [options.bytesPerWindow] - Bytes relayed per client ID per window, in both directions
+   * @param {number} [options.byteWindowMs] - Byte quota window length in milliseconds
+   */
+  constructor(options = {}) {
+    this.options = { ...config.security.quotas, ...options };
+    this.ipConnections = new Map();
+    this.clientStreams = new Map();
+    this.byteUsage = new Map();
+    this.stats = {
+      ipRejected: 0,
+      clientRejected: 0,
+      quotaExceeded: 0
+    };
+  }
+
+  /**
+   * Increment a counter if it is below its limit
+   * @param {Map} counters - Counter map
+   * @param {string} key - Counter key
+   * @param {number} limit - Maximum value
+   * @returns {boolean} Whether the counter was incremented
+   */
+  static acquire(counters, key, limit) {
+    const current = counters.get(key) || 0;
+    if (current >= limit) {
+      return false;
+    }
+    counters.set(key, current + 1);
+    return true;
+  }
+
+  /**
+   * Decrement a counter, removing it at zero
+   * @param {Map} counters - Counter map
+   * @param {string} key - Counter key
+   */
+  static release(counters, key) {
+    const current = counters.get(key) || 0;
+    if (current <= 1) {
+      counters.delete(key);
+    } else {
+      counters.set(key, current - 1);
+    }
+  }
+
+  /**
+   * Reserve a connection slot for an IP
+   * @param {string} ip - Client IP
+   * @returns {boolean} Whether a slot was available
+   */
+  acquireIp(ip) {
+    const acquired = ConnectionQuota.acquire(this.ipConnections, ip, this.options.maxConnectionsPerIp);
+    if (!acquired) {
+      this.stats.ipRejected++;
+    }
+    return acquired;
+  }
+
+  /**
+   * Release a connection slot for an IP
+   * @param {string} ip - Client IP
+   */
+  releaseIp(ip) {
+    ConnectionQuota.release(this.ipConnections, ip);
+  }
+
+  /**
+   * Reserve a stream slot for a client ID
+   * @param {string} clientId - Client ID
+   * @returns {boolean} Whether a slot was available
+   */
+  acquireClient(clientId) {
+    const acquired = ConnectionQuota.acquire(this.clientStreams, clientId, this.options.maxStreamsPerClient);
+    if (!acquired) {
+      this.stats.clientRejected++;
+    }
+    return acquired;
+  }
+
+  /**
+   * Release a stream slot for a client ID
+   * @param {string} clientId - Client ID
+   */
+  releaseClient(clientId) {
+    ConnectionQuota.release(this.clientStreams, clientId);
+  }
+
+  /**
+   * Charge relayed bytes to a client ID
+   * @param {string} clientId - Client ID
+   * @param {number} bytes - Number of bytes
+   * @returns {boolean} Whether the client is still within its quota
+   */
+  consumeBytes(clientId, bytes) {
+    const now = Date.now();
+    let usage = this.byteUsage.get(clientId);
+    if (!usage || usage.resetAt <= now) {
+      usage = { bytes: 0, resetAt: now + this.options.byteWindowMs };
+      this.byteUsage.set(clientId, usage);
+    }
+
+    usage.bytes += bytes;
+    if (usage.bytes > this.options.bytesPerWindow) {
+      this.stats.quotaExceeded++;
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Get quota statistics
+   * @returns {Object} Quota statistics
+   */
+  getStats() {
+    return {
+      limits: {
+        maxConnectionsPerIp: this.options.maxConnectionsPerIp,
+        maxStreamsPerClient: this.options.maxStreamsPerClient,
+        bytesPerWindow: this.options.bytesPerWindow,
+        byteWindowMs: this.options.byteWindowMs
+      },
+      trackedIps: this.ipConnections.size,
+      activeClients: this.clientStreams.size,
+      rejected: { ...this.stats }
+    };
+  }
+}
+
+module.exports = ConnectionQuota;
@@ -1,5 +1,8 @@
 // const crypto = require('crypto'); // No longer needed for parsing
 const config = require('./config');
+const ClientRegistry = require('./client-registry');
+
+const VLESS_VERSION = 0;
 
 /**
  * Data Processor
@@ -8,8 +11,56 @@ const config = require('./config');
  * like VLESS, which are commonly used by clients such as V2Ray/Xray.
  */
 class DataProcessor {
-  constructor() {
+  /**
+   * @param {Object} [options] - Processor options
+   * @param {ClientRegistry} [options.clientRegistry] - Registry of authorized client IDs
+   */
+  constructor(options = {}) {
     this.config = config;
+    this.clientRegistry = options.clientRegistry || new ClientRegistry();
+    this.stats = {
+      parsed: 0,
+      rejected: {
+        malformed: 0,
+        unknown: 0,
+        revoked: 0
+      }
+    };
+  }
+
+  /**
+   * Verify the version byte and client UUID at the start of a packet
+   * @param {Buffer} data - Packet with at least 17 bytes
+   * @returns {{authorized: boolean, id?: string, reason?: string}} Check result
+   */
+  authenticateClient(data) {
+    const version = data.readUInt8(0);
+    const result = version === VLESS_VERSION
+      ? this.clientRegistry.check(data.slice(1, 17))
+      : { authorized: false, reason: 'malformed' };
+
+    if (!result.authorized) {
+      this.stats.rejected[result.reason]++;
+    }
+    return result;
+  }
+
+  /**
+   * Get parser and authentication statistics
+   * @returns {Object} Protocol statistics
+   */
+  getProtocolStats() {
+    const { malformed, unknown, revoked } = this.stats.rejected;
+    return {
+      parsed: this.stats.parsed,
+      rejected: {
+        total: malformed + unknown + revoked,
+        malformed,
+        unknown,
+        revoked
+      },
+      clients: this.clientRegistry.getStats()
+    };
   }
 
   /**
@@ -29,8 +80,13 @@ class DataProcessor {
    *   - 4: IPv6 (16 bytes)
    * - M bytes: Address
    *
+   * Packets whose version is not 0 or whose UUID is not an authorized client ID
+   * are rejected with `unauthorized: true` before any address data is read.
+   * A packet that is merely truncated is reported with `incomplete: true` so the
+   * caller can wait for more data instead of treating it as invalid.
+   *
    * @param {Buffer} data - The raw data packet from the client.
-   * @returns {{success: boolean, host?: string, port?: number, error?: string}} An object indicating parsing result.
+   * @returns {{success: boolean, clientId?: string, host?: string, port?: number, error?: string, unauthorized?: boolean, incomplete?: boolean}} An object indicating parsing result.
    */
   parseDataPacket(data) {
     if (!Buffer.isBuffer(data)) {
@@ -40,40 +96,44 @@ class DataProcessor {
     try {
       let offset = 0;
 
-      // 1. Skip Version (1 byte) and UUID (16 bytes)
+      // 1. Check Version (1 byte) and UUID (16 bytes)
       if (data.length < 17) {
-        return { success: false, error: 'Packet too short for Version and UUID.' };
+        return { success: false, incomplete: true, error: 'Packet too short for Version and UUID.' };
+      }
+      const auth = this.authenticateClient(data);
+      if (!auth.authorized) {
+        return { success: false, unauthorized: true, error: `Client authentication failed: ${auth.reason}` };
       }
       offset += 17;
 
       // 2. Read and skip Addons
       if (data.length < offset + 1) {
-        return { success: false, error: 'Packet too short for Addon Length.' };
+        return { success: false, incomplete: true, error: 'Packet too short for Addon Length.' };
       }
       const addonLength = data.readUInt8(offset);
       offset += 1;
       if (data.length < offset + addonLength) {
-        return { success: false, error: 'Packet too short for Addons data.' };
+        return { success: false, incomplete: true, error: 'Packet too short for Addons data.' };
       }
       offset += addonLength;
 
       // 3. Read Command (1 byte) - and skip it
       if (data.length < offset + 1) {
-        return { success: false, error: 'Packet too short for Command.' };
+        return { success: false, incomplete: true, error: 'Packet too short for Command.' };
       }
       // const command = data.readUInt8(offset); // We don't use it, just skip
       offset += 1;
 
       // 4. Read Port (2 bytes, Big Endian)
       if (data.length < offset + 2) {
-        return { success: false, error: 'Packet too short for Port.' };
+        return { success: false, incomplete: true, error: 'Packet too short for Port.' };
       }
       const port = data.readUInt16BE(offset);
       offset += 2;
 
       // 5. Read Address Type (ATYP)
       if (data.length < offset + 1) {
-        return { success: false, error: 'Packet too short for Address Type (ATYP).' };
+        return { success: false, incomplete: true, error: 'Packet too short for Address Type (ATYP).' };
       }
       const addressType = data.readUInt8(offset);
       offset += 1;
@@ -83,7 +143,7 @@ class DataProcessor {
       switch (addressType) {
         case 1: // ATYP = 1: IPv4 Address (4 bytes)
           if (data.length < offset + 4) {
-            return { success: false, error: 'Incomplete IPv4 address data.' };
+            return { success: false, incomplete: true, error: 'Incomplete IPv4 address data.' };
           }
           host = data.slice(offset, offset + 4).join('.');
           offset += 4;
@@ -91,13 +151,16 @@ class DataProcessor {
 
         case 3: // ATYP = 3: Domain Name (1 byte length + N bytes)
           if (data.length < offset + 1) {
-            return { success: false, error: 'Missing domain name length.' };
+            return { success: false, incomplete: true, error: 'Missing domain name length.' };
           }
           const domainLength = data.readUInt8(offset);
           offset += 1;
+          if (domainLength === 0) {
+            return { success: false, error: 'Empty domain name.' };
+          }
 
           if (data.length < offset + domainLength) {
-            return { success: false, error: 'Incomplete domain name data.' };
+            return { success: false, incomplete: true, error: 'Incomplete domain name data.' };
           }
           host = data.slice(offset, offset + domainLength).toString('utf8');
           offset += domainLength;
@@ -105,7 +168,7 @@ class DataProcessor {
 
         case 4: // ATYP = 4: IPv6 Address (16 bytes)
           if (data.length < offset + 16) {
-            return { success: false, error: 'Incomplete IPv6 address data.' };
+            return { success: false, incomplete: true, error: 'Incomplete IPv6 address data.' };
           }
           const ipv6Buffer = data.slice(offset, offset + 16);
           const ipv6Parts = [];
@@ -121,8 +184,9 @@ class DataProcessor {
       }
 
       const remainingBuffer = data.slice(offset);
+      this.stats.parsed++;
       console.log(`[Parser] Successfully parsed target: ${host}:${port}`);
-      return { success: true, host, port, remainingBuffer };
+      return { success: true, clientId: auth.id, host, port, remainingBuffer };
 
     } catch (err) {
       // This will catch Buffer read errors (e.g., out of bounds)
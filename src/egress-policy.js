@@ -0,0 +1,291 @@
+const dns = require('dns');
+const net = require('net');
+const config = require('./config');
+
+/**
+ * Address ranges that are never reachable through the relay unless an
+ * operator explicitly allows them: private, loopback, link-local, multicast,
+ * shared, documentation and otherwise reserved space.
+ */
+const RESERVED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'], // "This" network
+  ['10.0.0.0', 8, 'ipv4'], // RFC1918 private
+  ['100.64.0.0', 10, 'ipv4'], // Carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'], // Loopback
+  ['169.254.0.0', 16, 'ipv4'], // Link-local, cloud metadata
+  ['172.16.0.0', 12, 'ipv4'], // RFC1918 private
+  ['192.0.0.0', 24, 'ipv4'], // IETF protocol assignments
+  ['192.0.2.0', 24, 'ipv4'], // TEST-NET-1
+  ['192.88.99.0', 24, 'ipv4'], // 6to4 relay anycast
+  ['192.168.0.0', 16, 'ipv4'], // RFC1918 private
+  ['198.18.0.0', 15, 'ipv4'], // Benchmarking
+  ['198.51.100.0', 24, 'ipv4'], // TEST-NET-2
+  ['203.0.113.0', 24, 'ipv4'], // TEST-NET-3
+  ['224.0.0.0', 4, 'ipv4'], // Multicast
+  ['240.0.0.0', 4, 'ipv4'], // Reserved, broadcast
+  ['::', 128, 'ipv6'], // Unspecified
+  ['::1', 128, 'ipv6'], // Loopback
+  ['64:ff9b::', 96, 'ipv6'], // NAT64
+  ['64:ff9b:1::', 48, 'ipv6'], // Local-use NAT64
+  ['100::', 64, 'ipv6'], // Discard-only
+  ['2001:db8::', 32, 'ipv6'], // Documentation
+  ['2002::', 16, 'ipv6'], // 6to4
+  ['fc00::', 7, 'ipv6'], // Unique local (ULA)
+  ['fe80::', 10, 'ipv6'], // Link-local
+  ['fec0::', 10, 'ipv6'], // Site-local (deprecated)
+  ['ff00::', 8, 'ipv6'] // Multicast
+];
+
+/**
+ * Egress Policy
+ * Decides whether the relay may open a connection to a client-supplied
+ * destination. Domain names are resolved first and every resolved address is
+ * checked; the caller must connect to the returned addresses rather than
+ * resolving the original hostname again, so a second lookup cannot be rebound
+ * elsewhere. `pinnedLookup()` builds a resolver for that.
+ *
+ * The destination port is checked before any lookup: `deniedPorts` are always
+ * refused, and when `allowedPorts` is non-empty only those ports are permitted.
+ *
+ * Evaluation order for each address:
+ * 1. `denyCidrs` - always blocked
+ * 2. `allowCidrs` - exceptions to the reserved ranges
+ * 3. Reserved ranges - blocked
+ * 4. Everything else - allowed
+ */
+class EgressPolicy {
+  /**
+   * @param {Object} [options] - Overrides for config.security.egress
+   * @param {string|string[]} [options.allowCidrs] - CIDRs exempt from the reserved ranges
+   * @param {string|string[]} [options.denyCidrs] - Additional CIDRs to block
+   * @param {string|Array<number|string>} [options.allowedPorts] - Permitted ports or ranges, empty for any
+   * @param {string|Array<number|string>} [options.deniedPorts] - Ports or ranges that are always refused
+   * @param {Function} [options.lookup] - Resolver with the signature of dns.promises.lookup
+   */
+  constructor(options = {}) {
+    this.options = { ...config.security.egress, ...options };
+    this.lookup = this.options.lookup || dns.promises.lookup;
+    this.reserved = EgressPolicy.createBlockList(RESERVED_RANGES);
+    this.allowList = EgressPolicy.createBlockList(EgressPolicy.parseCidrList(this.options.allowCidrs));
+    this.denyList = EgressPolicy.createBlockList(EgressPolicy.parseCidrList(this.options.denyCidrs));
+    this.allowedPorts = EgressPolicy.parsePortList(this.options.allowedPorts);
+    this.deniedPorts = EgressPolicy.parsePortList(this.options.deniedPorts);
+    this.stats = {
+      allowed: 0,
+      blocked: {}
+    };
+  }
+
+  /**
+   * Parse a comma separated string or an array of CIDRs. A bare address is
+   * treated as a single-host range.
+   * @param {string|string[]|undefined} list - CIDR list
+   * @returns {Array<[string, number, string]>} Ranges as [network, prefix, family]
+   * @throws {Error} When an entry is not a valid CIDR
+   */
+  static parseCidrList(list) {
+    const entries = Array.isArray(list) ? list : String(list || '').split(',');
+    const ranges = [];
+
+    for (const rawEntry of entries) {
+      const entry = String(rawEntry).trim();
+      if (entry === '') {
+        continue;
+      }
+
+      const [address, prefixText] = entry.split('/');
+      const version = net.isIP(address);
+      const maxPrefix = version === 4 ? 32 : 128;
+      const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+
+      if (!version || !Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+        throw new Error(`Invalid CIDR in egress policy: ${entry}`);
+      }
+      ranges.push([address, prefix, version === 4 ? 'ipv4' : 'ipv6']);
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Parse a comma separated string or an array of ports and `low-high` ranges
+   * @param {string|Array<number|string>|undefined} list - Port list
+   * @returns {Array<[number, number]>} Inclusive port ranges
+   * @throws {Error} When an entry is not a valid port or range
+   */
+  static parsePortList(list) {
+    const entries = Array.isArray(list) ? list : String(list || '').split(',');
+    const ranges = [];
+
+    for (const rawEntry of entries) {
+      const entry = String(rawEntry).trim();
+      if (entry === '') {
+        continue;
+      }
+
+      const match = /^(\d+)(?:-(\d+))?$/.exec(entry);
+      const low = match ? Number(match[1]) : NaN;
+      const high = match && match[2] !== undefined ? Number(match[2]) : low;
+
+      if (!(low >= 1 && high <= 65535 && low <= high)) {
+        throw new Error(`Invalid port in egress policy: ${entry}`);
+      }
+      ranges.push([low, high]);
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Build a BlockList from a list of ranges
+   * @param {Array<[string, number, string]>} ranges - Ranges as [network, prefix, family]
+   * @returns {net.BlockList} Block list
+   */
+  static createBlockList(ranges) {
+    const list = new net.BlockList();
+    for (const [address, prefix, family] of ranges) {
+      list.addSubnet(address, prefix, family);
+    }
+    return list;
+  }
+
+  /**
+   * Check a destination port against the policy
+   * @param {number} port - Destination port
+   * @returns {{allowed: boolean, reason?: string}} Check result
+   */
+  checkPort(port) {
+    const inRanges = ranges => ranges.some(([low, high]) => port >= low && port <= high);
+
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      return { allowed: false, reason: 'invalid_port' };
+    }
+    if (inRanges(this.deniedPorts)) {
+      return { allowed: false, reason: 'denied_port' };
+    }
+    if (this.allowedPorts.length > 0 && !inRanges(this.allowedPorts)) {
+      return { allowed: false, reason: 'port_not_allowed' };
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * Check a single IP address against the policy
+   * @param {string} address - IPv4 or IPv6 address
+   * @returns {{allowed: boolean, reason?: string}} Check result
+   */
+  checkAddress(address) {
+    const version = net.isIP(address);
+    if (!version) {
+      return { allowed: false, reason: 'invalid_address' };
+    }
+
+    const family = version === 4 ? 'ipv4' : 'ipv6';
+    if (this.denyList.check(address, family)) {
+      return { allowed: false, reason: 'denied_cidr' };
+    }
+    if (this.allowList.check(address, family)) {
+      return { allowed: true };
+    }
+    if (this.reserved.check(address, family)) {
+      return { allowed: false, reason: 'reserved_address' };
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * Check the destination port, then resolve the host and check every address it resolves to
+   * @param {string} host - Hostname or IP address supplied by the client
+   * @param {number} [port] - Destination port; the port check is skipped when omitted
+   * @returns {Promise<{allowed: boolean, address?: string, family?: number, addresses?: Array<{address: string, family: number}>, reason?: string}>}
+   *   The first address and every checked address in resolver order when
+   *   allowed, or the reason it was blocked
+   */
+  async check(host, port) {
+    let addresses;
+
+    if (port !== undefined) {
+      const portResult = this.checkPort(port);
+      if (!portResult.allowed) {
+        return this.block(`${host}:${port}`, portResult.reason, `port ${port}`);
+      }
+    }
+
+    if (net.isIP(host)) {
+      addresses = [{ address: host, family: net.isIP(host) }];
+    } else {
+      try {
+        addresses = await this.lookup(host, { all: true, verbatim: true });
+      } catch (error) {
+        return this.block(host, 'resolution_failed', error.code || error.message);
+      }
+      if (!Array.isArray(addresses) || addresses.length === 0) {
+        return this.block(host, 'resolution_failed', 'no addresses');
+      }
+    }
+
+    for (const { address } of addresses) {
+      const result = this.checkAddress(address);
+      if (!result.allowed) {
+        return this.block(host, result.reason, address);
+      }
+    }
+
+    this.stats.allowed++;
+    return {
+      allowed: true,
+      address: addresses[0].address,
+      family: addresses[0].family,
+      addresses: addresses.map(({ address, family }) => ({ address, family }))
+    };
+  }
+
+  /**
+   * Build a resolver for `net.connect` that answers only with addresses that
+   * passed `check()`. With `autoSelectFamily` the socket can still fall back
+   * from an unreachable address to the next one.
+   * @param {Array<{address: string, family: number}>} addresses - Checked addresses
+   * @returns {Function} Resolver with the signature of dns.lookup
+   */
+  static pinnedLookup(addresses) {
+    return (hostname, options, callback) => {
+      process.nextTick(() => {
+        if (options && options.all) {
+          callback(null, addresses.map(entry => ({ ...entry })));
+        } else {
+          callback(null, addresses[0].address, addresses[0].family);
+        }
+      });
+    };
+  }
+
+  /**
+   * Record and return a blocked result
+   * @param {string} host - Requested host
+   * @param {string} reason - Block reason
+   * @param {string} detail - Offending address or resolver error
+   * @returns {{allowed: boolean, reason: string}} Blocked result
+   */
+  block(host, reason, detail) {
+    this.stats.blocked[reason] = (this.stats.blocked[reason] || 0) + 1;
+    console.warn(`[Egress] Blocked destination ${host} (${detail}): ${reason}`);
+    return { allowed: false, reason };
+  }
+
+  /**
+   * Get egress decision statistics
+   * @returns {Object} Egress statistics
+   */
+  getStats() {
+    const blocked = { ...this.stats.blocked };
+    return {
+      allowed: this.stats.allowed,
+      blocked: {
+        total: Object.values(blocked).reduce((sum, count) => sum + count, 0),
+        ...blocked
+      }
+    };
+  }
+}
+
+module.exports = EgressPolicy;
@@ -0,0 +1,115 @@
+const config = require('./config');
+
+/**
+ * Rate Limiter
+ * Fixed-window request counter keyed by client IP. Used as Express middleware
+ * for HTTP routes and called directly from the WebSocket upgrade handler.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} [options] - Limiter options, defaults to config.security.rateLimit
+   * @param {number} [options.windowMs] - Window length in milliseconds
+   * @param {number} [options.max] - Maximum requests per key per window
+   */
+  constructor(options = {}) {
+    const { windowMs, max } = { ...config.security.rateLimit, ...options };
+    this.windowMs = windowMs;
+    this.max = max;
+    this.hits = new Map();
+
+    // Drop expired windows so idle clients do not accumulate
+    this.pruneInterval = setInterval(() => this.prune(), this.windowMs);
+    this.pruneInterval.unref();
+  }
+
+  /**
+   * Resolve the client IP of a request. X-Forwarded-For is only honoured when
+   * config.security.trustProxy is set, and then only its last entry, which is
+   * the address the trusted proxy itself observed.
+   * @param {Object} req - HTTP request
+   * @returns {string} Client IP
+   */
+  static getClientIp(req) {
+    if (config.security.trustProxy) {
+      const forwarded = req.headers && req.headers['x-forwarded-for'];
+      if (forwarded) {
+        const hops = String(forwarded).split(',').map(hop => hop.trim()).filter(Boolean);
+        if (hops.length > 0) {
+          return hops[hops.length - 1];
+        }
+      }
+    }
+    const socket = req.socket || req.connection;
+    return (socket && socket.remoteAddress) || 'unknown';
+  }
+
+  /**
+   * Record a request for a key
+   * @param {string} key - Client key
+   * @returns {{allowed: boolean, remaining: number, resetAt: number}} Limit state
+   */
+  hit(key) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + this.windowMs };
+      this.hits.set(key, entry);
+    }
+
+    entry.count++;
+    return {
+      allowed: entry.count <= this.max,
+      remaining: Math.max(0, this.max - entry.count),
+      resetAt: entry.resetAt
+    };
+  }
+
+  /**
+   * Remove expired windows
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) {
+        this.hits.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Create Express middleware that answers 429 once a client exceeds the limit
+   * @param {Object} [options] - Middleware options
+   * @param {string[]} [options.exemptPaths] - Exact paths that are never counted
+   * @returns {Function} Express middleware
+   */
+  middleware({ exemptPaths = [] } = {}) {
+    return (req, res, next) => {
+      if (exemptPaths.includes(req.path)) {
+        return next();
+      }
+
+      const result = this.hit(RateLimiter.getClientIp(req));
+      res.setHeader('RateLimit-Limit', this.max);
+      res.setHeader('RateLimit-Remaining', result.remaining);
+      res.setHeader('RateLimit-Reset', Math.ceil((result.resetAt - Date.now()) / 1000));
+
+      if (!result.allowed) {
+        res.setHeader('Retry-After', Math.ceil((result.resetAt - Date.now()) / 1000));
+        return res.status(429).json({
+          error: 'Too many requests',
+          message: 'Rate limit exceeded, please try again later'
+        });
+      }
+      next();
+    };
+  }
+
+  /**
+   * Stop the prune timer
+   */
+  close() {
+    clearInterval(this.pruneInterval);
+  }
+}
+
+module.exports = RateLimiter;
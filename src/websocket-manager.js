@@ -3,37 +3,117 @@ const { Transform } = require('stream');
 const config = require('./config');
 const DataProcessor = require('./data-processor');
 const DecoyDataGenerator = require('./decoy-data-generator');
+const EgressPolicy = require('./egress-policy');
+const ConnectionQuota = require('./connection-quota');
+const RateLimiter = require('./rate-limiter');
+
+// Application-specific WebSocket close codes (4000-4999 are reserved for private use)
+const CLOSE_CODES = {
+  CLIENT_REVOKED: 4001,
+  DESTINATION_BLOCKED: 4003,
+  CONNECTION_LIMIT: 4029,
+  BYTE_QUOTA_EXCEEDED: 4030
+};
+
+/**
+ * Truncate an IP address to its network prefix for display:
+ * IPv4 to /24, IPv6 to /48. Anything else is hidden entirely.
+ * @param {string} ip - IP address
+ * @returns {string} Redacted address
+ */
+function redactIp(ip) {
+  const address = typeof ip === 'string' ? ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '') : '';
+  const version = net.isIP(address);
+
+  if (version === 4) {
+    return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+  if (version === 6) {
+    const [head] = address.split('::');
+    const groups = head.split(':').filter(Boolean).slice(0, 3);
+    while (groups.length < 3) {
+      groups.push('0');
+    }
+    return `${groups.join(':')}::/48`;
+  }
+  return 'redacted';
+}
 
 /**
  * WebSocket Manager - Implements real-time analytics data streaming
  * Responsible for handling WebSocket connections and managing data flows
  */
 class StreamHandler {
-  constructor() {
+  /**
+   * @param {Object} [options] - Handler options
+   * @param {DataProcessor} [options.dataProcessor] - Shared data processor instance
+   * @param {EgressPolicy} [options.egressPolicy] - Destination policy for outbound connections
+   * @param {ConnectionQuota} [options.connectionQuota] - Concurrency and byte quotas
+   */
+  constructor(options = {}) {
     this.config = config;
-    this.dataProcessor = new DataProcessor();
+    this.dataProcessor = options.dataProcessor || new DataProcessor();
+    this.egressPolicy = options.egressPolicy || new EgressPolicy();
+    this.connectionQuota = options.connectionQuota || new ConnectionQuota();
     this.dashboardGenerator = new DecoyDataGenerator();
     this.activeConnections = new Map();
     this.dataConnections = new Map();
+
+    // Tear down live streams as soon as their client ID is revoked or removed
+    this.dataProcessor.clientRegistry.on('change', () => this.closeRevokedConnections());
+  }
+
+  /**
+   * Close every connection whose client ID is no longer authorized
+   * @returns {number} Number of connections closed
+   */
+  closeRevokedConnections() {
+    const registry = this.dataProcessor.clientRegistry;
+    let closed = 0;
+
+    for (const [connectionId, connection] of [...this.activeConnections]) {
+      if (!connection.clientId) {
+        continue;
+      }
+      const result = registry.check(connection.clientId);
+      if (!result.authorized) {
+        console.warn(`[Auth] Closing ${connectionId}: client is ${result.reason}`);
+        connection.ws.close(CLOSE_CODES.CLIENT_REVOKED, 'Client no longer authorized');
+        this.closeConnection(connectionId, `Client ${result.reason}`);
+        closed++;
+      }
+    }
+
+    return closed;
   }
 
   /**
    * Handle dashboard connections (main WebSocket handling function)
    * @param {WebSocket} ws - WebSocket connection object
    * @param {Object} req - Request object
-   * @returns {string} Connection ID
+   * @returns {string|null} Connection ID, or null when the IP is over its connection limit
    */
   handleChartConnection(ws, req) {
+    const ip = RateLimiter.getClientIp(req);
+    if (!this.connectionQuota.acquireIp(ip)) {
+      console.warn(`[WebSocket] Rejected connection from ${ip}: too many concurrent connections`);
+      ws.close(CLOSE_CODES.CONNECTION_LIMIT, 'Too many connections from this address');
+      return null;
+    }
+
     const connectionId = this.generateConnectionId();
     const connectionInfo = {
       id: connectionId,
       ws,
-      ip: req.ip || req.connection.remoteAddress,
+      ip,
+      clientId: null,
       userAgent: req.headers['user-agent'],
       connectedAt: new Date().toISOString(),
       isDataStream: false,
       stage: 'dashboard', // 'dashboard' | 'detected' | 'streaming'
       buffer: Buffer.alloc(0),
+      pendingData: [],
+      pendingBytes: 0,
       targetConnection: null
     };
 
@@ -134,6 +214,16 @@ class StreamHandler {
     if (connection.stage === 'dashboard') {
       // In dashboard mode, detect if data stream format
       this.detectDataFormat(connectionId, buffer);
+    } else if (connection.stage === 'detected') {
+      // Target connection is still being checked or opened, hold data until it is ready
+      connection.pendingBytes += buffer.length;
+      if (connection.pendingBytes > this.config.dataSource.bufferSize) {
+        console.warn(`[Proxy] Pending data for ${connectionId} exceeded ${this.config.dataSource.bufferSize} bytes before the target connected`);
+        connection.ws.close(1009, 'Too much data before target connected'); // 1009: Message Too Big
+        this.closeConnection(connectionId, 'Pending data limit exceeded');
+        return;
+      }
+      connection.pendingData.push(buffer);
     } else if (connection.stage === 'streaming') {
       // In streaming mode, forward data to target server
       this.forwardDataToTarget(connectionId, buffer);
@@ -158,6 +248,14 @@ class StreamHandler {
     const parseResult = this.dataProcessor.parseDataPacket(connection.buffer);
     
     if (parseResult.success) {
+      if (!this.connectionQuota.acquireClient(parseResult.clientId)) {
+        console.warn(`[Proxy] Rejected stream from ${connectionId}: too many concurrent streams for client`);
+        connection.ws.close(CLOSE_CODES.CONNECTION_LIMIT, 'Too many streams for this client');
+        this.closeConnection(connectionId, 'Client stream limit reached');
+        return;
+      }
+      connection.clientId = parseResult.clientId;
+
       console.log(`[Proxy] Detected valid VLESS packet from ${connectionId}. Target: ${parseResult.host}:${parseResult.port}. Switching to streaming mode.`);
       
       // Stop sending dashboard data
@@ -169,29 +267,40 @@ class StreamHandler {
       // Switch to streaming mode
       connection.stage = 'detected';
       connection.isDataStream = true;
+      connection.buffer = Buffer.alloc(0);
       
       // Establish connection to target
       this.establishDataConnection(connectionId, parseResult);
 
-    } else if (parseResult.error) {
+    } else if (parseResult.unauthorized) {
+      // Reject unknown or revoked clients before any target connection is made
+      console.warn(`[Auth] Rejected client from ${connection.ip}: ${parseResult.error}`);
+      connection.ws.close(1008, 'Unauthorized client'); // 1008: Policy Violation
+      this.closeConnection(connectionId, parseResult.error);
+
+    } else if (parseResult.incomplete) {
+      // The header may arrive split across several frames, wait for the rest.
+      // The buffer stays small: the header's own length fields cap it at about
+      // 533 bytes, and any longer buffer either parses or fails as invalid.
+
+    } else {
       // On parsing failure, log the error and close the connection immediately.
       console.error(`[Parser] Failed to parse client packet from ${connection.ip}:`, parseResult.error);
       connection.ws.close(1008, 'Invalid data packet'); // 1008: Policy Violation
       this.closeConnection(connectionId, `Invalid data packet: ${parseResult.error}`);
-
-    } else if (connection.buffer.length > this.config.dataSource.bufferSize) {
-      // Buffer too large, clear and continue dashboard mode
-      connection.buffer = Buffer.alloc(0);
-      console.log(`[Proxy] Buffer cleared for connection ${connectionId} as it exceeded size limit without a valid format. Continuing in dashboard mode.`);
     }
   }
 
   /**
-   * Establish connection to data source
+   * Establish connection to data source. The destination host and port are
+   * checked against the egress policy first and the socket is opened to the
+   * exact address that was checked, never to the hostname, so a second DNS
+   * answer cannot redirect it.
    * @param {string} connectionId - Connection ID
-   * @param {Object} formatInfo - Data format information
+   * @param {Object} parseResult - Parsed target information
+   * @returns {Promise<void>}
    */
-  establishDataConnection(connectionId, parseResult) {
+  async establishDataConnection(connectionId, parseResult) {
     const connection = this.activeConnections.get(connectionId);
     if (!connection) {
       return;
@@ -199,25 +308,53 @@ class StreamHandler {
 
     const { host, port, remainingBuffer } = parseResult;
     const targetAddress = `${host}:${port}`;
-    console.log(`[Proxy] Attempting to connect to target: ${targetAddress} for connection ${connectionId}`);
 
-    // Create TCP connection to the target
+    const decision = await this.egressPolicy.check(host, port);
+    if (!this.activeConnections.has(connectionId)) {
+      console.log(`[Proxy] Connection ${connectionId} closed while checking target ${targetAddress}`);
+      return;
+    }
+    if (!decision.allowed) {
+      connection.ws.close(CLOSE_CODES.DESTINATION_BLOCKED, `Destination not allowed: ${decision.reason}`);
+      this.closeConnection(connectionId, `Destination ${targetAddress} blocked: ${decision.reason}`);
+      return;
+    }
+
+    const checkedAddresses = decision.addresses.map(entry => entry.address).join(', ');
+    console.log(`[Proxy] Attempting to connect to target: ${targetAddress} (${checkedAddresses}) for connection ${connectionId}`);
+
+    // Create TCP connection to the checked addresses only, trying them in order
     const targetSocket = net.createConnection({
       host: host,
       port: port,
+      lookup: EgressPolicy.pinnedLookup(decision.addresses),
+      autoSelectFamily: true,
       timeout: this.config.dataSource.timeout
     });
+    // Keep the socket on the connection while it is still connecting so
+    // closeConnection can destroy it
+    connection.targetConnection = targetSocket;
 
     targetSocket.on('connect', () => {
+      if (!this.activeConnections.has(connectionId)) {
+        console.log(`[Proxy] Connection ${connectionId} closed while connecting to ${targetAddress}`);
+        targetSocket.destroy();
+        return;
+      }
       console.log(`[Proxy] Successfully connected to target: ${targetAddress} for connection ${connectionId}`);
       
       connection.stage = 'streaming';
-      connection.targetConnection = targetSocket;
       
       // Forward any remaining data from the initial packet
       if (remainingBuffer && remainingBuffer.length > 0) {
         console.log(`[Proxy] Forwarding ${remainingBuffer.length} bytes of remaining data to target.`);
-        targetSocket.write(remainingBuffer);
+        this.forwardDataToTarget(connectionId, remainingBuffer);
+      }
+      const pendingData = connection.pendingData;
+      connection.pendingData = [];
+      connection.pendingBytes = 0;
+      for (const chunk of pendingData) {
+        this.forwardDataToTarget(connectionId, chunk);
       }
       
       // Setup data source handling
@@ -276,12 +413,31 @@ class StreamHandler {
 
     // Receive data from data source and forward to client
     targetSocket.on('data', (data) => {
+      if (!this.connectionQuota.consumeBytes(connection.clientId, data.length)) {
+        this.rejectOverQuota(connectionId);
+        return;
+      }
       if (connection.ws.readyState === 1) {
         connection.ws.send(data);
       }
     });
   }
 
+  /**
+   * Close a connection whose client ID has used up its byte quota
+   * @param {string} connectionId - Connection ID
+   */
+  rejectOverQuota(connectionId) {
+    const connection = this.activeConnections.get(connectionId);
+    if (!connection) {
+      return;
+    }
+
+    console.warn(`[Proxy] Byte quota exceeded for ${connectionId}`);
+    connection.ws.close(CLOSE_CODES.BYTE_QUOTA_EXCEEDED, 'Byte quota exceeded');
+    this.closeConnection(connectionId, 'Byte quota exceeded');
+  }
+
   /**
    * Forward data to data source
    * @param {string} connectionId - Connection ID
@@ -293,6 +449,11 @@ class StreamHandler {
       return;
     }
 
+    if (!this.connectionQuota.consumeBytes(connection.clientId, data.length)) {
+      this.rejectOverQuota(connectionId);
+      return;
+    }
+
     try {
       connection.targetConnection.write(data);
     } catch (error) {
@@ -318,6 +479,12 @@ class StreamHandler {
 
     console.log(`[WebSocket] Closing connection ${connectionId}. Reason: ${reason}`);
 
+    // Release quota slots
+    this.connectionQuota.releaseIp(connection.ip);
+    if (connection.clientId) {
+      this.connectionQuota.releaseClient(connection.clientId);
+    }
+
     try {
       // Clean up timers
       if (connection.dashboardInterval) {
@@ -363,10 +530,13 @@ class StreamHandler {
   }
 
   /**
-   * Get active connection statistics
+   * Get active connection statistics. Client IPs are truncated unless full
+   * values are explicitly requested.
+   * @param {Object} [options] - Output options
+   * @param {boolean} [options.includeFullIps=false] - Return unredacted client IPs
    * @returns {Object} Connection statistics
    */
-  getConnectionStats() {
+  getConnectionStats({ includeFullIps = false } = {}) {
     const stats = {
       total: this.activeConnections.size,
       dataStream: 0,
@@ -388,7 +558,7 @@ class StreamHandler {
 
       stats.connections.push({
         id: connectionId,
-        ip: connection.ip,
+        ip: includeFullIps ? connection.ip : redactIp(connection.ip),
         isDataStream: connection.isDataStream,
         stage: connection.stage,
         connectedAt: connection.connectedAt,
@@ -411,4 +581,6 @@ class StreamHandler {
   }
 }
 
+StreamHandler.CLOSE_CODES = CLOSE_CODES;
+
 module.exports = StreamHandler;
\ No newline at end of file
@@ -0,0 +1,77 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert');
+const AdminAuth = require('../src/admin-auth');
+const StreamHandler = require('../src/websocket-manager');
+const { MockWebSocket, createResponse } = require('./helpers');
+
+function requestWith(authorization) {
+  return { headers: authorization === undefined ? {} : { authorization } };
+}
+
+describe('AdminAuth', () => {
+  test('rejects every request when no token is configured', () => {
+    const auth = new AdminAuth({ token: null, privilegedToken: null });
+
+    assert.strictEqual(auth.isConfigured(), false);
+    assert.strictEqual(auth.authenticate(requestWith('Bearer ')), null);
+    assert.strictEqual(auth.authenticate(requestWith('Bearer null')), null);
+  });
+
+  test('grants the admin and privileged scopes by token', () => {
+    const auth = new AdminAuth({ token: 'admin-secret', privilegedToken: 'privileged-secret' });
+
+    assert.deepStrictEqual(auth.authenticate(requestWith('Bearer admin-secret')), { privileged: false });
+    assert.deepStrictEqual(auth.authenticate(requestWith('bearer privileged-secret')), { privileged: true });
+    assert.strictEqual(auth.authenticate(requestWith('Bearer admin-secret-2')), null);
+    assert.strictEqual(auth.authenticate(requestWith('Basic YWRtaW46YWRtaW4=')), null);
+    assert.strictEqual(auth.authenticate(requestWith()), null);
+  });
+
+  test('middleware answers 401 without a valid token', () => {
+    const middleware = new AdminAuth({ token: 'admin-secret', privilegedToken: null }).middleware();
+    let nextCalls = 0;
+
+    const denied = createResponse();
+    middleware(requestWith('Bearer wrong'), denied, () => nextCalls++);
+    assert.strictEqual(denied.statusCode, 401);
+    assert.match(denied.headers['WWW-Authenticate'], /^Bearer/);
+
+    const req = requestWith('Bearer admin-secret');
+    middleware(req, createResponse(), () => nextCalls++);
+    assert.strictEqual(nextCalls, 1);
+    assert.deepStrictEqual(req.admin, { privileged: false });
+  });
+});
+
+describe('StreamHandler.getConnectionStats', () => {
+  let handler;
+
+  afterEach(() => {
+    for (const connectionId of [...handler.activeConnections.keys()]) {
+      handler.closeConnection(connectionId, 'Test cleanup');
+    }
+  });
+
+  function connectFrom(ip) {
+    handler.handleChartConnection(new MockWebSocket(), { headers: {}, socket: { remoteAddress: ip } });
+  }
+
+  test('truncates client IPs by default', () => {
+    handler = new StreamHandler();
+    connectFrom('203.0.113.57');
+    connectFrom('::ffff:198.51.100.23');
+    connectFrom('2001:db8:85a3:8d3:1319:8a2e:370:7348');
+    connectFrom('2001:db8::1');
+
+    const ips = handler.getConnectionStats().connections.map(connection => connection.ip);
+    assert.deepStrictEqual(ips, ['203.0.113.0/24', '198.51.100.0/24', '2001:db8:85a3::/48', '2001:db8:0::/48']);
+  });
+
+  test('returns full client IPs only when requested', () => {
+    handler = new StreamHandler();
+    connectFrom('203.0.113.57');
+
+    const stats = handler.getConnectionStats({ includeFullIps: true });
+    assert.strictEqual(stats.connections[0].ip, '203.0.113.57');
+  });
+});
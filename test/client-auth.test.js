@@ -0,0 +1,208 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ClientRegistry = require('../src/client-registry');
+const DataProcessor = require('../src/data-processor');
+const StreamHandler = require('../src/websocket-manager');
+const {
+  CLIENT_ID: VALID_ID,
+  buildVlessHeader,
+  closeAllConnections,
+  connectClient,
+  createStreamHandler,
+  echoHeader,
+  received,
+  startEchoServer,
+  waitFor
+} = require('./helpers');
+const REVOKED_ID = '00000000-0000-4000-8000-000000000002';
+const UNKNOWN_ID = '00000000-0000-4000-8000-0000000000ff';
+
+function createProcessor(options = {}) {
+  const clientRegistry = new ClientRegistry({
+    clientIds: [VALID_ID, REVOKED_ID],
+    revokedClientIds: [REVOKED_ID],
+    clientIdsFile: null,
+    ...options
+  });
+  return new DataProcessor({ clientRegistry });
+}
+
+describe('ClientRegistry', () => {
+  test('normalizes configured IDs and ignores malformed entries', () => {
+    const registry = new ClientRegistry({
+      clientIds: ` ${VALID_ID.toUpperCase()} ,not-a-uuid,,`,
+      revokedClientIds: '',
+      clientIdsFile: null
+    });
+
+    assert.deepStrictEqual(registry.check(VALID_ID), { authorized: true, id: VALID_ID });
+    assert.strictEqual(registry.getStats().authorized, 1);
+  });
+
+  test('reports malformed, unknown and revoked IDs', () => {
+    const registry = createProcessor().clientRegistry;
+
+    assert.strictEqual(registry.check('not-a-uuid').reason, 'malformed');
+    assert.strictEqual(registry.check(Buffer.alloc(15)).reason, 'malformed');
+    assert.strictEqual(registry.check(UNKNOWN_ID).reason, 'unknown');
+    assert.strictEqual(registry.check(REVOKED_ID).reason, 'revoked');
+  });
+
+  test('revokes IDs at runtime', () => {
+    const registry = createProcessor().clientRegistry;
+
+    assert.strictEqual(registry.revoke('bogus'), false);
+    assert.strictEqual(registry.revoke(VALID_ID), true);
+    assert.strictEqual(registry.check(VALID_ID).reason, 'revoked');
+  });
+
+  describe('client list file', () => {
+    let dir;
+    let registry;
+
+    afterEach(() => {
+      if (registry) {
+        registry.close();
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('reloads authorizations and revocations when the file changes', async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'client-registry-'));
+      const file = path.join(dir, 'clients.json');
+      fs.writeFileSync(file, JSON.stringify({ authorized: [VALID_ID] }));
+
+      registry = new ClientRegistry({
+        clientIds: '',
+        revokedClientIds: '',
+        clientIdsFile: file,
+        reloadInterval: 20
+      });
+      assert.strictEqual(registry.check(VALID_ID).authorized, true);
+
+      // Let the watcher take its baseline stat before changing the file
+      await new Promise(resolve => setTimeout(resolve, 100));
+      fs.writeFileSync(file, JSON.stringify({ authorized: [VALID_ID, UNKNOWN_ID], revoked: [VALID_ID] }));
+      await waitFor(() => registry.check(UNKNOWN_ID).authorized);
+      assert.strictEqual(registry.check(VALID_ID).reason, 'revoked');
+    });
+
+    test('keeps the previous list when the file becomes invalid', () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'client-registry-'));
+      const file = path.join(dir, 'clients.json');
+      fs.writeFileSync(file, JSON.stringify({ authorized: [VALID_ID] }));
+
+      registry = new ClientRegistry({ clientIds: '', revokedClientIds: '', clientIdsFile: file });
+      fs.writeFileSync(file, '{ not json');
+
+      assert.strictEqual(registry.reload(), false);
+      assert.strictEqual(registry.check(VALID_ID).authorized, true);
+    });
+  });
+});
+
+describe('DataProcessor client authentication', () => {
+  test('accepts a packet from an authorized client', () => {
+    const processor = createProcessor();
+    const result = processor.parseDataPacket(buildVlessHeader({ uuid: VALID_ID }));
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.host, '93.184.216.34');
+    assert.strictEqual(result.port, 443);
+    assert.strictEqual(processor.getProtocolStats().parsed, 1);
+  });
+
+  test('rejects unknown, revoked and malformed clients and counts them', () => {
+    const processor = createProcessor();
+
+    const unknown = processor.parseDataPacket(buildVlessHeader({ uuid: UNKNOWN_ID }));
+    const revoked = processor.parseDataPacket(buildVlessHeader({ uuid: REVOKED_ID }));
+    const badVersion = processor.parseDataPacket(buildVlessHeader({ uuid: VALID_ID, version: 1 }));
+
+    for (const result of [unknown, revoked, badVersion]) {
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.unauthorized, true);
+      assert.strictEqual(result.host, undefined);
+    }
+
+    assert.deepStrictEqual(processor.getProtocolStats().rejected, {
+      total: 3,
+      malformed: 1,
+      unknown: 1,
+      revoked: 1
+    });
+  });
+
+  test('rejects every client when no IDs are configured', () => {
+    const processor = createProcessor({ clientIds: '', revokedClientIds: '' });
+    const result = processor.parseDataPacket(buildVlessHeader({ uuid: VALID_ID }));
+
+    assert.strictEqual(result.unauthorized, true);
+  });
+
+  test('does not authenticate a packet shorter than the UUID', () => {
+    const processor = createProcessor();
+    const result = processor.parseDataPacket(buildVlessHeader({ uuid: VALID_ID }).slice(0, 10));
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.unauthorized, undefined);
+    assert.strictEqual(processor.getProtocolStats().rejected.total, 0);
+  });
+});
+
+describe('StreamHandler revocation', () => {
+  let server;
+  let handler;
+  let dir;
+
+  afterEach(async () => {
+    closeAllConnections(handler);
+    handler.dataProcessor.clientRegistry.close();
+    await new Promise(resolve => server.close(resolve));
+    if (dir) {
+      fs.rmSync(dir, { recursive: true, force: true });
+      dir = null;
+    }
+  });
+
+  async function startStream(registry) {
+    server = await startEchoServer();
+    handler = createStreamHandler({ registry: { clientIds: '', ...registry } });
+
+    const { ws, connectionId } = connectClient(handler);
+    ws.emit('message', echoHeader(server.address().port, Buffer.from('ping')));
+    await waitFor(() => received(ws) === 'ping');
+    return { ws, connectionId };
+  }
+
+  test('closes a live stream when its client is revoked at runtime', async () => {
+    const { ws, connectionId } = await startStream({ clientIds: [VALID_ID] });
+    const targetSocket = handler.activeConnections.get(connectionId).targetConnection;
+
+    handler.dataProcessor.clientRegistry.revoke(VALID_ID);
+
+    assert.strictEqual(ws.closeCode, StreamHandler.CLOSE_CODES.CLIENT_REVOKED);
+    assert.strictEqual(handler.activeConnections.has(connectionId), false);
+    assert.strictEqual(targetSocket.destroyed, true);
+  });
+
+  test('closes a live stream when its client is removed from the client list file', async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'client-registry-'));
+    const file = path.join(dir, 'clients.json');
+    fs.writeFileSync(file, JSON.stringify({ authorized: [VALID_ID, REVOKED_ID] }));
+
+    const { ws, connectionId } = await startStream({ clientIdsFile: file, reloadInterval: 20 });
+    const { ws: other } = connectClient(handler, '203.0.113.10');
+
+    fs.writeFileSync(file, JSON.stringify({ authorized: [REVOKED_ID] }));
+    handler.dataProcessor.clientRegistry.reload();
+
+    assert.strictEqual(ws.closeCode, StreamHandler.CLOSE_CODES.CLIENT_REVOKED);
+    assert.strictEqual(handler.activeConnections.has(connectionId), false);
+    // Connections that never authenticated are left alone
+    assert.strictEqual(other.readyState, 1);
+  });
+});
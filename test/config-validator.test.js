@@ -0,0 +1,255 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const ConfigValidator = require('../src/config-validator');
+
+const STRONG_SECRETS = {
+  apiKey: 'k7Qm2Xv9Lp4Rz8Tn1Wb6Yc3Hd5Fg0JsA',
+  streamToken: 'Vx3Nq8Lr2Mz6Pk9Tb4Wc7Yd1Hf5Gj0SeU',
+  adminToken: 'Ra5Tb8Uc1Vd4We7Xf0Yg3Zh6Ai9Bj2CkL',
+  privilegedToken: 'Hm4Jn7Kp0Lq3Mr6Ns9Ot2Pu5Qv8Rw1SxY'
+};
+
+function createConfig(overrides = {}) {
+  const values = {
+    ...STRONG_SECRETS,
+    clientIds: '3f1c2a9e-7b4d-4e8f-9a1b-2c3d4e5f6a7b',
+    clientIdsFile: null,
+    upgradeMax: 120,
+    quotas: {},
+    egress: {},
+    ...overrides
+  };
+
+  return {
+    dataSource: {
+      primary: { apiKey: values.apiKey },
+      streaming: { token: values.streamToken }
+    },
+    security: {
+      admin: { token: values.adminToken, privilegedToken: values.privilegedToken },
+      clientAuth: { clientIds: values.clientIds, clientIdsFile: values.clientIdsFile },
+      rateLimit: { upgrades: { max: values.upgradeMax } },
+      quotas: {
+        maxConnectionsPerIp: 64,
+        maxStreamsPerClient: 128,
+        bytesPerWindow: 1024,
+        byteWindowMs: 60000,
+        ...values.quotas
+      },
+      egress: {
+        allowCidrs: '',
+        denyCidrs: '',
+        allowedPorts: '80,443',
+        deniedPorts: '25,465,587',
+        ...values.egress
+      }
+    }
+  };
+}
+
+function validate(overrides) {
+  return new ConfigValidator(createConfig(overrides)).validate();
+}
+
+describe('ConfigValidator', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-validator-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeClientFile(name, content) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  }
+
+  test('accepts strong secrets and a client ID', () => {
+    assert.deepStrictEqual(validate(), []);
+    assert.deepStrictEqual(validate({ privilegedToken: null }), []);
+    const file = writeClientFile('valid.json', { authorized: ['3f1c2a9e-7b4d-4e8f-9a1b-2c3d4e5f6a7b'] });
+    assert.deepStrictEqual(validate({ clientIds: '', clientIdsFile: file }), []);
+  });
+
+  test('reports missing secrets', () => {
+    assert.deepStrictEqual(validate({ apiKey: null }), ['ANALYTICS_API_KEY is not set']);
+    assert.deepStrictEqual(validate({ streamToken: '' }), ['STREAM_AUTH_TOKEN is not set']);
+    assert.deepStrictEqual(validate({ adminToken: '   ' }), ['ADMIN_TOKEN is not set']);
+  });
+
+  test('reports placeholder secrets', () => {
+    assert.ok(validate({ apiKey: 'default-analytics-key' }).includes('ANALYTICS_API_KEY looks like a placeholder value'));
+    assert.ok(validate({ streamToken: 'default-stream-token' }).includes('STREAM_AUTH_TOKEN looks like a placeholder value'));
+    assert.deepStrictEqual(
+      validate({ adminToken: 'changeme-9f8e7d6c5b4a3f2e1d0c9b8a7f6e5d4c' }),
+      ['ADMIN_TOKEN looks like a placeholder value']
+    );
+  });
+
+  test('reports short secrets', () => {
+    assert.deepStrictEqual(
+      validate({ apiKey: 'Zx8Qw2Er5Ty7Ui' }),
+      ['ANALYTICS_API_KEY must be at least 32 characters long']
+    );
+  });
+
+  test('reports low-variety secrets', () => {
+    assert.deepStrictEqual(
+      validate({ adminToken: '12341234123412341234123412341234' }),
+      ['ADMIN_TOKEN is too predictable (fewer than 10 distinct characters)']
+    );
+  });
+
+  test('checks the optional privileged token only when set', () => {
+    assert.deepStrictEqual(
+      validate({ privilegedToken: 'short' }),
+      [
+        'ADMIN_PRIVILEGED_TOKEN must be at least 32 characters long',
+        'ADMIN_PRIVILEGED_TOKEN is too predictable (fewer than 10 distinct characters)'
+      ]
+    );
+    assert.deepStrictEqual(
+      validate({ privilegedToken: STRONG_SECRETS.adminToken }),
+      ['ADMIN_PRIVILEGED_TOKEN must differ from ADMIN_TOKEN']
+    );
+  });
+
+  test('reports missing, malformed and publicly known client IDs', () => {
+    assert.deepStrictEqual(validate({ clientIds: '' }), ['AUTHORIZED_CLIENT_IDS or AUTHORIZED_CLIENTS_FILE must be set']);
+    assert.deepStrictEqual(validate({ clientIds: 'not-a-uuid' }), ['AUTHORIZED_CLIENT_IDS contains a malformed UUID: not-a-uuid']);
+    assert.deepStrictEqual(
+      validate({ clientIds: 'B9F46D3C-13FF-4C8F-B3EE-6B130CF0CE83' }),
+      ['AUTHORIZED_CLIENT_IDS contains a publicly known UUID: b9f46d3c-13ff-4c8f-b3ee-6b130cf0ce83']
+    );
+  });
+
+  test('reports a client list file that does not exist', () => {
+    const problems = validate({ clientIds: '', clientIdsFile: path.join(dir, 'missing.json') });
+
+    assert.strictEqual(problems.length, 1);
+    assert.match(problems[0], /^AUTHORIZED_CLIENTS_FILE could not be loaded: ENOENT/);
+  });
+
+  test('reports a client list file that cannot be parsed', () => {
+    const problems = validate({ clientIds: '', clientIdsFile: writeClientFile('broken.json', '{ not json') });
+
+    assert.strictEqual(problems.length, 1);
+    assert.match(problems[0], /^AUTHORIZED_CLIENTS_FILE could not be loaded: /);
+  });
+
+  test('reports a client list file without authorized IDs', () => {
+    const file = writeClientFile('empty.json', { authorized: [], revoked: ['3f1c2a9e-7b4d-4e8f-9a1b-2c3d4e5f6a7b'] });
+
+    assert.deepStrictEqual(
+      validate({ clientIds: '', clientIdsFile: file }),
+      ['AUTHORIZED_CLIENTS_FILE lists no authorized client IDs']
+    );
+  });
+
+  test('reports a publicly known UUID in the client list file', () => {
+    const file = writeClientFile('public.json', {
+      authorized: ['3f1c2a9e-7b4d-4e8f-9a1b-2c3d4e5f6a7b', 'b9f46d3c-13ff-4c8f-b3ee-6b130cf0ce83']
+    });
+
+    assert.deepStrictEqual(
+      validate({ clientIdsFile: file }),
+      ['AUTHORIZED_CLIENTS_FILE contains a publicly known UUID: b9f46d3c-13ff-4c8f-b3ee-6b130cf0ce83']
+    );
+  });
+
+  test('reports zero, negative and unparsable limits', () => {
+    assert.deepStrictEqual(validate({ upgradeMax: 0 }), ['UPGRADE_RATE_LIMIT must be a positive integer']);
+    assert.deepStrictEqual(
+      validate({ quotas: { maxConnectionsPerIp: NaN, maxStreamsPerClient: -1, bytesPerWindow: 1.5, byteWindowMs: 0 } }),
+      [
+        'MAX_CONNECTIONS_PER_IP must be a positive integer',
+        'MAX_STREAMS_PER_CLIENT must be a positive integer',
+        'CLIENT_BYTE_QUOTA must be a positive integer',
+        'CLIENT_BYTE_QUOTA_WINDOW_MS must be a positive integer'
+      ]
+    );
+  });
+
+  test('reports malformed egress CIDR and port lists', () => {
+    assert.deepStrictEqual(
+      validate({ egress: { allowCidrs: '10.0.0.0/33', denyCidrs: 'example.com', allowedPorts: '0', deniedPorts: '100-50' } }),
+      [
+        'EGRESS_ALLOW_CIDRS is invalid: Invalid CIDR in egress policy: 10.0.0.0/33',
+        'EGRESS_DENY_CIDRS is invalid: Invalid CIDR in egress policy: example.com',
+        'EGRESS_ALLOWED_PORTS is invalid: Invalid port in egress policy: 0',
+        'EGRESS_DENIED_PORTS is invalid: Invalid port in egress policy: 100-50'
+      ]
+    );
+    assert.deepStrictEqual(validate({ egress: { allowCidrs: '10.0.0.0/8, fd00::/8', allowedPorts: '' } }), []);
+  });
+
+  test('reports every problem at once', () => {
+    const validator = new ConfigValidator(createConfig({
+      apiKey: null,
+      streamToken: 'default-stream-token',
+      adminToken: null,
+      clientIds: ''
+    }));
+
+    assert.throws(() => validator.assertValid(), (error) => {
+      assert.ok(error instanceof ConfigValidator.ConfigValidationError);
+      assert.deepStrictEqual(error.problems, [
+        'ANALYTICS_API_KEY is not set',
+        'STREAM_AUTH_TOKEN looks like a placeholder value',
+        'STREAM_AUTH_TOKEN must be at least 32 characters long',
+        'ADMIN_TOKEN is not set',
+        'AUTHORIZED_CLIENT_IDS or AUTHORIZED_CLIENTS_FILE must be set'
+      ]);
+      assert.match(error.message, /ANALYTICS_API_KEY is not set\n {2}- STREAM_AUTH_TOKEN/);
+      return true;
+    });
+  });
+});
+
+describe('server startup', () => {
+  function startServer(env) {
+    return spawnSync(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+      env: { PATH: process.env.PATH, PORT: '0', ...env },
+      encoding: 'utf8',
+      timeout: 10000
+    });
+  }
+
+  test('refuses to start in production without secrets', () => {
+    const result = startServer({ NODE_ENV: 'production' });
+
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Refusing to start in production/);
+    for (const name of ['ANALYTICS_API_KEY', 'STREAM_AUTH_TOKEN', 'ADMIN_TOKEN', 'AUTHORIZED_CLIENT_IDS']) {
+      assert.match(result.stderr, new RegExp(name));
+    }
+  });
+
+  test('refuses to start with malformed limits in any environment', () => {
+    const result = startServer({ NODE_ENV: 'development', MAX_CONNECTIONS_PER_IP: '64k', CLIENT_BYTE_QUOTA: '0' });
+
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Refusing to start with invalid limits/);
+    assert.match(result.stderr, /MAX_CONNECTIONS_PER_IP must be a positive integer/);
+    assert.match(result.stderr, /CLIENT_BYTE_QUOTA must be a positive integer/);
+    assert.doesNotMatch(result.stderr, /UPGRADE_RATE_LIMIT/);
+  });
+
+  test('refuses to start with a malformed egress policy in any environment', () => {
+    const result = startServer({ NODE_ENV: 'development', EGRESS_ALLOWED_PORTS: 'http', EGRESS_DENY_CIDRS: '10.0.0.0/40' });
+
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Refusing to start with invalid limits or egress policy/);
+    assert.match(result.stderr, /EGRESS_ALLOWED_PORTS is invalid: Invalid port in egress policy: http/);
+    assert.match(result.stderr, /EGRESS_DENY_CIDRS is invalid: Invalid CIDR in egress policy: 10\.0\.0\.0\/40/);
+    assert.doesNotMatch(result.stderr, /\n\s+at /);
+  });
+});
@@ -0,0 +1,223 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const ClientRegistry = require('../src/client-registry');
+const DataProcessor = require('../src/data-processor');
+const { CLIENT_ID, buildVlessHeader, domainAddress } = require('./helpers');
+
+const CLIENT_PREFIX = Buffer.concat([Buffer.from([0]), Buffer.from(CLIENT_ID.replace(/-/g, ''), 'hex')]);
+
+function createProcessor() {
+  return new DataProcessor({
+    clientRegistry: new ClientRegistry({ clientIds: [CLIENT_ID], revokedClientIds: '', clientIdsFile: null })
+  });
+}
+
+/**
+ * Small seeded PRNG (mulberry32) so fuzz failures can be reproduced
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomBuffer(random, length) {
+  const buffer = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) {
+    buffer[i] = Math.floor(random() * 256);
+  }
+  return buffer;
+}
+
+/**
+ * Parse a copy of `data` placed inside a larger buffer filled with sentinel
+ * bytes, so any read past the end of the view would either throw or leak
+ * sentinel bytes into the result.
+ */
+function parseInsideSentinel(processor, data) {
+  const backing = Buffer.alloc(data.length + 64, 0xee);
+  data.copy(backing, 32);
+  return processor.parseDataPacket(backing.subarray(32, 32 + data.length));
+}
+
+function assertWellFormedResult(result, data) {
+  assert.strictEqual(typeof result.success, 'boolean');
+  if (result.success) {
+    assert.ok(Buffer.isBuffer(result.remainingBuffer));
+    assert.ok(result.remainingBuffer.equals(data.subarray(data.length - result.remainingBuffer.length)));
+    assert.ok(Number.isInteger(result.port) && result.port >= 0 && result.port <= 65535);
+    assert.strictEqual(typeof result.host, 'string');
+  } else {
+    assert.strictEqual(typeof result.error, 'string');
+    assert.doesNotMatch(result.error, /Critical parsing error/);
+  }
+}
+
+describe('DataProcessor.parseDataPacket', () => {
+  test('parses an IPv4 target and returns the remaining payload', () => {
+    const result = createProcessor().parseDataPacket(buildVlessHeader({
+      uuid: CLIENT_ID,
+      port: 8443,
+      addressType: 1,
+      address: Buffer.from([1, 2, 3, 4]),
+      payload: Buffer.from('GET /')
+    }));
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.clientId, CLIENT_ID);
+    assert.strictEqual(result.host, '1.2.3.4');
+    assert.strictEqual(result.port, 8443);
+    assert.strictEqual(result.remainingBuffer.toString(), 'GET /');
+  });
+
+  test('parses domain targets at the length boundaries', () => {
+    const processor = createProcessor();
+    const longest = 'a'.repeat(251) + '.com';
+
+    for (const name of ['a', longest]) {
+      const result = processor.parseDataPacket(buildVlessHeader({
+        uuid: CLIENT_ID,
+        addressType: 3,
+        address: domainAddress(name)
+      }));
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.host, name);
+      assert.strictEqual(result.remainingBuffer.length, 0);
+    }
+  });
+
+  test('rejects an empty domain name', () => {
+    const result = createProcessor().parseDataPacket(buildVlessHeader({
+      uuid: CLIENT_ID,
+      addressType: 3,
+      address: Buffer.from([0])
+    }));
+
+    assert.deepStrictEqual(result, { success: false, error: 'Empty domain name.' });
+  });
+
+  test('parses an IPv6 target', () => {
+    const address = Buffer.from('20010db8000000000000000000000001', 'hex');
+    const result = createProcessor().parseDataPacket(buildVlessHeader({ uuid: CLIENT_ID, addressType: 4, address }));
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.host, '2001:db8:0:0:0:0:0:1');
+  });
+
+  test('rejects unsupported address types', () => {
+    const processor = createProcessor();
+
+    for (const addressType of [0, 2, 5, 255]) {
+      const result = processor.parseDataPacket(buildVlessHeader({ uuid: CLIENT_ID, addressType }));
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.incomplete, undefined);
+      assert.strictEqual(result.error, `Unsupported address type: ${addressType}`);
+    }
+  });
+
+  test('handles port and addon length boundaries', () => {
+    const processor = createProcessor();
+
+    assert.strictEqual(processor.parseDataPacket(buildVlessHeader({ uuid: CLIENT_ID, port: 0 })).port, 0);
+    assert.strictEqual(processor.parseDataPacket(buildVlessHeader({ uuid: CLIENT_ID, port: 65535 })).port, 65535);
+
+    const result = processor.parseDataPacket(buildVlessHeader({
+      uuid: CLIENT_ID,
+      addons: Buffer.alloc(255, 0x7f),
+      payload: Buffer.from('x')
+    }));
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.host, '93.184.216.34');
+    assert.strictEqual(result.remainingBuffer.toString(), 'x');
+  });
+
+  test('rejects non-Buffer input', () => {
+    const processor = createProcessor();
+
+    for (const input of [undefined, null, 'text', [0, 1, 2], new Uint8Array(40)]) {
+      assert.deepStrictEqual(processor.parseDataPacket(input), {
+        success: false,
+        error: 'Invalid data type, expected Buffer.'
+      });
+    }
+  });
+
+  test('reports every truncated header as incomplete', () => {
+    const processor = createProcessor();
+    const headers = [
+      buildVlessHeader({ uuid: CLIENT_ID, addressType: 1 }),
+      buildVlessHeader({ uuid: CLIENT_ID, addressType: 3, address: domainAddress('example.com') }),
+      buildVlessHeader({ uuid: CLIENT_ID, addressType: 4, address: Buffer.alloc(16, 1) }),
+      buildVlessHeader({ uuid: CLIENT_ID, addons: Buffer.alloc(3, 9) })
+    ];
+
+    for (const header of headers) {
+      for (let length = 0; length < header.length; length++) {
+        const result = parseInsideSentinel(processor, header.subarray(0, length));
+        assert.strictEqual(result.success, false, `length ${length}`);
+        assert.strictEqual(result.incomplete, true, `length ${length}: ${result.error}`);
+      }
+      assert.strictEqual(parseInsideSentinel(processor, header).success, true);
+    }
+  });
+
+  test('never throws or reads past the buffer on random input', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const processor = createProcessor();
+    const random = createRandom(0x5eed);
+
+    for (let i = 0; i < 5000; i++) {
+      let data = randomBuffer(random, Math.floor(random() * 600));
+      // Give half of the inputs a valid client prefix so they reach the address parsing
+      if (i % 2 === 0 && data.length >= CLIENT_PREFIX.length) {
+        CLIENT_PREFIX.copy(data, 0);
+      }
+      // Bias the address type towards the supported branches
+      if (i % 4 === 0 && data.length > 21) {
+        const atypOffset = 17 + 1 + data[17] + 1 + 2;
+        if (atypOffset < data.length) {
+          data[atypOffset] = [1, 3, 4][i % 3];
+        }
+      }
+
+      const result = parseInsideSentinel(processor, data);
+      assertWellFormedResult(result, data);
+    }
+  });
+
+  test('never throws on truncated fuzzed headers', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const processor = createProcessor();
+    const random = createRandom(0xc0ffee);
+
+    for (let i = 0; i < 500; i++) {
+      const addressType = [1, 3, 4][i % 3];
+      const address = addressType === 1
+        ? randomBuffer(random, 4)
+        : addressType === 4
+          ? randomBuffer(random, 16)
+          : domainAddress('x'.repeat(1 + Math.floor(random() * 254)));
+      const header = buildVlessHeader({
+        uuid: CLIENT_ID,
+        addons: randomBuffer(random, Math.floor(random() * 32)),
+        port: Math.floor(random() * 65536),
+        addressType,
+        address,
+        payload: randomBuffer(random, Math.floor(random() * 16))
+      });
+      const cut = Math.floor(random() * (header.length + 1));
+      const data = header.subarray(0, cut);
+
+      const result = parseInsideSentinel(processor, data);
+      assertWellFormedResult(result, data);
+      if (!result.success) {
+        assert.strictEqual(result.incomplete, true);
+      }
+    }
+  });
+});
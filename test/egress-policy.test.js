@@ -0,0 +1,278 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const EgressPolicy = require('../src/egress-policy');
+const StreamHandler = require('../src/websocket-manager');
+const {
+  closeAllConnections,
+  connectClient,
+  createStreamHandler,
+  domainHeader,
+  received,
+  startEchoServer,
+  waitFor
+} = require('./helpers');
+
+/**
+ * Stub resolver that answers from a fixed table and records every query
+ */
+function createStubResolver(table) {
+  const queries = [];
+  const lookup = async (host) => {
+    queries.push(host);
+    const answer = typeof table[host] === 'function' ? table[host]() : table[host];
+    if (!answer) {
+      const error = new Error(`getaddrinfo ENOTFOUND ${host}`);
+      error.code = 'ENOTFOUND';
+      throw error;
+    }
+    return answer.map(address => ({ address, family: net.isIP(address) }));
+  };
+  return { lookup, queries };
+}
+
+describe('EgressPolicy', () => {
+  test('blocks private, loopback, link-local, multicast and reserved literals', async () => {
+    const policy = new EgressPolicy({ allowCidrs: '', denyCidrs: '' });
+    const blocked = [
+      '127.0.0.1',
+      '10.1.2.3',
+      '172.16.0.1',
+      '192.168.1.1',
+      '169.254.169.254',
+      '100.64.0.1',
+      '0.0.0.0',
+      '224.0.0.1',
+      '255.255.255.255',
+      '0:0:0:0:0:0:0:1',
+      '::',
+      'fd00:0:0:0:0:0:0:1',
+      'fe80:0:0:0:0:0:0:1',
+      'ff02:0:0:0:0:0:0:1',
+      '0:0:0:0:0:ffff:7f00:1',
+      '::ffff:169.254.169.254'
+    ];
+
+    for (const address of blocked) {
+      const result = await policy.check(address);
+      assert.deepStrictEqual(result, { allowed: false, reason: 'reserved_address' }, address);
+    }
+    assert.strictEqual(policy.getStats().blocked.total, blocked.length);
+  });
+
+  test('allows public literals without a lookup', async () => {
+    const resolver = createStubResolver({});
+    const policy = new EgressPolicy({ allowCidrs: '', denyCidrs: '', lookup: resolver.lookup });
+
+    assert.deepStrictEqual(await policy.check('93.184.216.34'), {
+      allowed: true,
+      address: '93.184.216.34',
+      family: 4,
+      addresses: [{ address: '93.184.216.34', family: 4 }]
+    });
+    assert.strictEqual((await policy.check('2606:2800:220:1:248:1893:25c8:1946')).allowed, true);
+    assert.deepStrictEqual(resolver.queries, []);
+  });
+
+  test('blocks a domain when any resolved address is reserved', async () => {
+    const resolver = createStubResolver({
+      'public.test': ['93.184.216.34'],
+      'mixed.test': ['93.184.216.34', '10.0.0.5'],
+      'metadata.test': ['169.254.169.254']
+    });
+    const policy = new EgressPolicy({ allowCidrs: '', denyCidrs: '', lookup: resolver.lookup });
+
+    assert.strictEqual((await policy.check('public.test')).allowed, true);
+    assert.strictEqual((await policy.check('mixed.test')).reason, 'reserved_address');
+    assert.strictEqual((await policy.check('metadata.test')).reason, 'reserved_address');
+  });
+
+  test('returns every checked address in resolver order', async () => {
+    const resolver = createStubResolver({ 'dual.test': ['2606:2800:220:1:248:1893:25c8:1946', '93.184.216.34'] });
+    const policy = new EgressPolicy({ allowCidrs: '', denyCidrs: '', lookup: resolver.lookup });
+
+    const result = await policy.check('dual.test');
+    assert.strictEqual(result.address, '2606:2800:220:1:248:1893:25c8:1946');
+    assert.deepStrictEqual(result.addresses, [
+      { address: '2606:2800:220:1:248:1893:25c8:1946', family: 6 },
+      { address: '93.184.216.34', family: 4 }
+    ]);
+  });
+
+  test('blocks destinations that do not resolve', async () => {
+    const policy = new EgressPolicy({ allowCidrs: '', denyCidrs: '', lookup: createStubResolver({}).lookup });
+
+    assert.deepStrictEqual(await policy.check('missing.test'), { allowed: false, reason: 'resolution_failed' });
+  });
+
+  test('applies configured allow and deny CIDRs', async () => {
+    const policy = new EgressPolicy({
+      allowCidrs: '10.20.0.0/16, 127.0.0.1',
+      denyCidrs: ['93.184.216.0/24', '10.20.30.0/24']
+    });
+
+    assert.strictEqual((await policy.check('10.20.1.1')).allowed, true);
+    assert.strictEqual((await policy.check('127.0.0.1')).allowed, true);
+    assert.strictEqual((await policy.check('127.0.0.2')).reason, 'reserved_address');
+    assert.strictEqual((await policy.check('10.20.30.1')).reason, 'denied_cidr');
+    assert.strictEqual((await policy.check('93.184.216.34')).reason, 'denied_cidr');
+  });
+
+  test('denies SMTP and unlisted ports by default before resolving', async () => {
+    const resolver = createStubResolver({ 'mail.test': ['93.184.216.34'] });
+    const policy = new EgressPolicy({ allowCidrs: '', denyCidrs: '', lookup: resolver.lookup });
+
+    for (const port of [25, 465, 587]) {
+      assert.deepStrictEqual(await policy.check('mail.test', port), { allowed: false, reason: 'denied_port' });
+    }
+    assert.strictEqual((await policy.check('mail.test', 22)).reason, 'port_not_allowed');
+    assert.strictEqual((await policy.check('mail.test', 0)).reason, 'invalid_port');
+    assert.deepStrictEqual(resolver.queries, []);
+
+    assert.strictEqual((await policy.check('mail.test', 443)).allowed, true);
+    assert.strictEqual((await policy.check('mail.test', 80)).allowed, true);
+    assert.deepStrictEqual(policy.getStats().blocked, {
+      total: 5,
+      denied_port: 3,
+      port_not_allowed: 1,
+      invalid_port: 1
+    });
+  });
+
+  test('applies configured port lists and ranges', async () => {
+    const policy = new EgressPolicy({ allowCidrs: '', denyCidrs: '', allowedPorts: '443, 8000-8100', deniedPorts: [8080] });
+
+    assert.strictEqual(policy.checkPort(443).allowed, true);
+    assert.strictEqual(policy.checkPort(8050).allowed, true);
+    assert.strictEqual(policy.checkPort(8080).reason, 'denied_port');
+    assert.strictEqual(policy.checkPort(80).reason, 'port_not_allowed');
+
+    const open = new EgressPolicy({ allowCidrs: '', denyCidrs: '', allowedPorts: '', deniedPorts: '25' });
+    assert.strictEqual(open.checkPort(22).allowed, true);
+    assert.strictEqual(open.checkPort(25).reason, 'denied_port');
+  });
+
+  test('rejects invalid port configuration', () => {
+    assert.throws(() => new EgressPolicy({ allowedPorts: '0' }), /Invalid port/);
+    assert.throws(() => new EgressPolicy({ deniedPorts: '100-50' }), /Invalid port/);
+    assert.throws(() => new EgressPolicy({ allowedPorts: 'http' }), /Invalid port/);
+  });
+
+  test('rejects invalid CIDR configuration', () => {
+    assert.throws(() => new EgressPolicy({ allowCidrs: '10.0.0.0/33', denyCidrs: '' }), /Invalid CIDR/);
+    assert.throws(() => new EgressPolicy({ allowCidrs: '', denyCidrs: 'example.com/8' }), /Invalid CIDR/);
+  });
+});
+
+describe('StreamHandler egress enforcement', () => {
+  let server;
+  let handler;
+
+  afterEach(async () => {
+    closeAllConnections(handler);
+    if (server) {
+      await new Promise(resolve => server.close(resolve));
+      server = null;
+    }
+  });
+
+  // Nothing is allowed past the reserved ranges unless a test says so
+  function createHandler(policy) {
+    handler = createStreamHandler({ policy: { allowCidrs: '', ...policy } });
+  }
+
+  test('closes with DESTINATION_BLOCKED before opening a socket to a reserved address', async () => {
+    const resolver = createStubResolver({ 'internal.test': ['127.0.0.1'] });
+    createHandler({ lookup: resolver.lookup });
+
+    let accepted = 0;
+    server = net.createServer(socket => {
+      accepted++;
+      socket.destroy();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const { ws, connectionId } = connectClient(handler);
+    ws.emit('message', domainHeader('internal.test', server.address().port));
+
+    await waitFor(() => ws.readyState === 3);
+    assert.strictEqual(ws.closeCode, StreamHandler.CLOSE_CODES.DESTINATION_BLOCKED);
+    assert.match(ws.closeReason, /reserved_address/);
+    assert.strictEqual(handler.activeConnections.has(connectionId), false);
+    assert.strictEqual(accepted, 0);
+  });
+
+  test('refuses a denied port before resolving or connecting', async () => {
+    const resolver = createStubResolver({ 'mail.test': ['93.184.216.34'] });
+    createHandler({ lookup: resolver.lookup, deniedPorts: '25,465,587' });
+
+    const { ws } = connectClient(handler);
+    ws.emit('message', domainHeader('mail.test', 25));
+
+    await waitFor(() => ws.readyState === 3);
+    assert.strictEqual(ws.closeCode, StreamHandler.CLOSE_CODES.DESTINATION_BLOCKED);
+    assert.match(ws.closeReason, /denied_port/);
+    assert.deepStrictEqual(resolver.queries, []);
+    assert.strictEqual(handler.egressPolicy.getStats().blocked.denied_port, 1);
+  });
+
+  test('closes the connection when data queued during the lookup exceeds the buffer size', async () => {
+    const queries = [];
+    createHandler({
+      lookup: (host) => {
+        queries.push(host);
+        return new Promise(() => {});
+      }
+    });
+
+    const { ws, connectionId } = connectClient(handler);
+    ws.emit('message', domainHeader('stalled.test', 443));
+    await waitFor(() => queries.length === 1);
+
+    const chunk = Buffer.alloc(1024);
+    const limit = handler.config.dataSource.bufferSize;
+    for (let sent = 0; sent <= limit && ws.readyState === 1; sent += chunk.length) {
+      ws.emit('message', chunk);
+    }
+
+    assert.strictEqual(ws.closeCode, 1009);
+    assert.strictEqual(handler.activeConnections.has(connectionId), false);
+  });
+
+  test('connects to the checked address even if DNS answers change', async () => {
+    let answers = 0;
+    const resolver = createStubResolver({
+      'rebind.test': () => (answers++ === 0 ? ['127.0.0.1'] : ['169.254.169.254'])
+    });
+    createHandler({ lookup: resolver.lookup, allowCidrs: '127.0.0.1' });
+
+    const received = [];
+    server = net.createServer(socket => {
+      socket.on('data', data => received.push(data));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const { ws, connectionId } = connectClient(handler);
+    ws.emit('message', domainHeader('rebind.test', server.address().port, Buffer.from('hello')));
+    ws.emit('message', Buffer.from(' world'));
+
+    await waitFor(() => Buffer.concat(received).toString() === 'hello world');
+    assert.strictEqual(handler.activeConnections.get(connectionId).stage, 'streaming');
+    assert.deepStrictEqual(resolver.queries, ['rebind.test']);
+  });
+
+  test('falls back to the next checked address when the first cannot be reached', async () => {
+    // Nothing listens on ::1, so the IPv6 answer fails before the IPv4 one is tried
+    const resolver = createStubResolver({ 'dual.test': ['::1', '127.0.0.1'] });
+    createHandler({ lookup: resolver.lookup, allowCidrs: '::1,127.0.0.1' });
+
+    server = await startEchoServer();
+
+    const { ws, connectionId } = connectClient(handler);
+    ws.emit('message', domainHeader('dual.test', server.address().port, Buffer.from('ping')));
+
+    await waitFor(() => received(ws) === 'ping');
+    assert.strictEqual(handler.activeConnections.get(connectionId).stage, 'streaming');
+    assert.deepStrictEqual(resolver.queries, ['dual.test']);
+  });
+});
@@ -0,0 +1,228 @@
+const { EventEmitter } = require('events');
+const net = require('net');
+const ClientRegistry = require('../src/client-registry');
+const ConnectionQuota = require('../src/connection-quota');
+const DataProcessor = require('../src/data-processor');
+const EgressPolicy = require('../src/egress-policy');
+const StreamHandler = require('../src/websocket-manager');
+
+/**
+ * Shared test helpers
+ */
+
+// Client ID authorized by createStreamHandler() and used in built headers
+const CLIENT_ID = '00000000-0000-4000-8000-000000000001';
+
+/**
+ * Minimal stand-in for a `ws` WebSocket connection
+ */
+class MockWebSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = 1;
+    this.sent = [];
+    this.closeCode = null;
+    this.closeReason = null;
+  }
+
+  send(data) {
+    this.sent.push(data);
+  }
+
+  close(code, reason) {
+    if (this.readyState === 3) {
+      return;
+    }
+    this.readyState = 3;
+    this.closeCode = code === undefined ? null : code;
+    this.closeReason = reason === undefined ? null : reason;
+  }
+}
+
+/**
+ * Minimal stand-in for an Express response
+ * @returns {Object} Response recording status, headers and JSON body
+ */
+function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+/**
+ * Build a VLESS request header
+ * @param {Object} [options] - Header fields
+ * @returns {Buffer} Encoded header
+ */
+function buildVlessHeader({
+  version = 0,
+  uuid = CLIENT_ID,
+  addons = Buffer.alloc(0),
+  command = 1,
+  port = 443,
+  addressType = 1,
+  address = Buffer.from([93, 184, 216, 34]),
+  payload = Buffer.alloc(0)
+} = {}) {
+  const uuidBytes = Buffer.from(uuid.replace(/-/g, ''), 'hex');
+  const portBytes = Buffer.alloc(2);
+  portBytes.writeUInt16BE(port);
+
+  return Buffer.concat([
+    Buffer.from([version]),
+    uuidBytes,
+    Buffer.from([addons.length]),
+    addons,
+    Buffer.from([command]),
+    portBytes,
+    Buffer.from([addressType]),
+    address,
+    payload
+  ]);
+}
+
+/**
+ * Encode a domain name as a VLESS address field
+ * @param {string} name - Domain name
+ * @returns {Buffer} Length-prefixed domain
+ */
+function domainAddress(name) {
+  const bytes = Buffer.from(name);
+  return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+}
+
+/**
+ * Build a header for CLIENT_ID that targets a domain
+ * @param {string} domain - Target domain
+ * @param {number} port - Target port
+ * @param {Buffer} [payload] - Initial payload
+ * @returns {Buffer} Encoded header
+ */
+function domainHeader(domain, port, payload) {
+  return buildVlessHeader({ port, addressType: 3, address: domainAddress(domain), payload });
+}
+
+/**
+ * Build a header for CLIENT_ID that targets a port on 127.0.0.1
+ * @param {number} port - Target port
+ * @param {Buffer} [payload] - Initial payload
+ * @returns {Buffer} Encoded header
+ */
+function echoHeader(port, payload) {
+  return buildVlessHeader({ port, address: Buffer.from([127, 0, 0, 1]), payload });
+}
+
+/**
+ * Create a StreamHandler that authorizes CLIENT_ID, may reach 127.0.0.1 and
+ * has generous quotas. Each option object overrides the matching defaults.
+ * @param {Object} [options] - Overrides
+ * @param {Object} [options.registry] - ClientRegistry options
+ * @param {Object} [options.policy] - EgressPolicy options
+ * @param {Object} [options.quota] - ConnectionQuota options
+ * @returns {StreamHandler} Stream handler
+ */
+function createStreamHandler({ registry = {}, policy = {}, quota = {} } = {}) {
+  return new StreamHandler({
+    dataProcessor: new DataProcessor({
+      clientRegistry: new ClientRegistry({ clientIds: [CLIENT_ID], revokedClientIds: '', clientIdsFile: null, ...registry })
+    }),
+    egressPolicy: new EgressPolicy({ allowCidrs: '127.0.0.1', denyCidrs: '', allowedPorts: '', deniedPorts: '', ...policy }),
+    connectionQuota: new ConnectionQuota({
+      maxConnectionsPerIp: 10,
+      maxStreamsPerClient: 10,
+      bytesPerWindow: 1024 * 1024,
+      byteWindowMs: 60000,
+      ...quota
+    })
+  });
+}
+
+/**
+ * Open a mock WebSocket connection on a handler
+ * @param {StreamHandler} handler - Stream handler
+ * @param {string} [ip] - Client IP
+ * @returns {{ws: MockWebSocket, connectionId: string|null}} Client socket and connection ID
+ */
+function connectClient(handler, ip = '203.0.113.9') {
+  const ws = new MockWebSocket();
+  const connectionId = handler.handleChartConnection(ws, { headers: {}, socket: { remoteAddress: ip } });
+  return { ws, connectionId };
+}
+
+/**
+ * Close every connection a handler still holds
+ * @param {StreamHandler} handler - Stream handler
+ */
+function closeAllConnections(handler) {
+  for (const connectionId of [...handler.activeConnections.keys()]) {
+    handler.closeConnection(connectionId, 'Test cleanup');
+  }
+}
+
+/**
+ * Binary data relayed back to a mock WebSocket, as text
+ * @param {MockWebSocket} ws - Client socket
+ * @returns {string} Received data
+ */
+function received(ws) {
+  return Buffer.concat(ws.sent.filter(Buffer.isBuffer)).toString();
+}
+
+/**
+ * Start a TCP server on 127.0.0.1 that echoes everything back
+ * @param {Function} [onConnection] - Called with each accepted socket
+ * @returns {Promise<net.Server>} Listening server
+ */
+async function startEchoServer(onConnection = () => {}) {
+  const server = net.createServer(socket => {
+    onConnection(socket);
+    socket.pipe(socket);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+/**
+ * Poll until a condition holds or the timeout elapses
+ * @param {Function} condition - Condition to check
+ * @param {number} [timeout] - Timeout in milliseconds
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+module.exports = {
+  CLIENT_ID,
+  MockWebSocket,
+  buildVlessHeader,
+  closeAllConnections,
+  connectClient,
+  createResponse,
+  createStreamHandler,
+  domainAddress,
+  domainHeader,
+  echoHeader,
+  received,
+  startEchoServer,
+  waitFor
+};
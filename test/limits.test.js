@@ -0,0 +1,162 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const config = require('../src/config');
+const RateLimiter = require('../src/rate-limiter');
+const StreamHandler = require('../src/websocket-manager');
+const {
+  closeAllConnections,
+  connectClient,
+  createResponse,
+  createStreamHandler,
+  echoHeader,
+  received,
+  startEchoServer,
+  waitFor
+} = require('./helpers');
+
+describe('RateLimiter', () => {
+  let limiter;
+
+  afterEach(() => {
+    limiter.close();
+  });
+
+  test('allows up to max hits per window and resets afterwards', async () => {
+    limiter = new RateLimiter({ windowMs: 50, max: 2 });
+
+    assert.strictEqual(limiter.hit('1.2.3.4').allowed, true);
+    assert.strictEqual(limiter.hit('1.2.3.4').allowed, true);
+    assert.strictEqual(limiter.hit('1.2.3.4').allowed, false);
+    assert.strictEqual(limiter.hit('5.6.7.8').allowed, true);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.strictEqual(limiter.hit('1.2.3.4').allowed, true);
+  });
+
+  test('middleware answers 429 once the limit is reached', () => {
+    limiter = new RateLimiter({ windowMs: 60000, max: 1 });
+    const middleware = limiter.middleware();
+    const req = { headers: {}, socket: { remoteAddress: '1.2.3.4' } };
+    let nextCalls = 0;
+
+    const first = createResponse();
+    middleware(req, first, () => nextCalls++);
+    const second = createResponse();
+    middleware(req, second, () => nextCalls++);
+
+    assert.strictEqual(nextCalls, 1);
+    assert.strictEqual(second.statusCode, 429);
+    assert.strictEqual(second.headers['RateLimit-Remaining'], 0);
+    assert.ok(second.headers['Retry-After'] > 0);
+  });
+
+  test('middleware never counts exempt paths', () => {
+    limiter = new RateLimiter({ windowMs: 60000, max: 1 });
+    const middleware = limiter.middleware({ exemptPaths: ['/health'] });
+    const socket = { remoteAddress: '1.2.3.4' };
+    let nextCalls = 0;
+
+    for (let i = 0; i < 3; i++) {
+      middleware({ path: '/health', headers: {}, socket }, createResponse(), () => nextCalls++);
+    }
+    middleware({ path: '/', headers: {}, socket }, createResponse(), () => nextCalls++);
+    const limited = createResponse();
+    middleware({ path: '/css/style.css', headers: {}, socket }, limited, () => nextCalls++);
+
+    assert.strictEqual(nextCalls, 4);
+    assert.strictEqual(limited.statusCode, 429);
+  });
+
+  test('only honours X-Forwarded-For behind a trusted proxy', () => {
+    limiter = new RateLimiter({ windowMs: 60000, max: 1 });
+    const req = { headers: { 'x-forwarded-for': '6.6.6.6, 9.9.9.9' }, socket: { remoteAddress: '10.0.0.1' } };
+    const trustProxy = config.security.trustProxy;
+
+    try {
+      config.security.trustProxy = false;
+      assert.strictEqual(RateLimiter.getClientIp(req), '10.0.0.1');
+      config.security.trustProxy = true;
+      assert.strictEqual(RateLimiter.getClientIp(req), '9.9.9.9');
+    } finally {
+      config.security.trustProxy = trustProxy;
+    }
+  });
+});
+
+describe('StreamHandler quotas', () => {
+  let echoServer;
+  let handler;
+
+  beforeEach(async () => {
+    echoServer = await startEchoServer();
+  });
+
+  afterEach(async () => {
+    closeAllConnections(handler);
+    await new Promise(resolve => echoServer.close(resolve));
+  });
+
+  function createHandler(quota) {
+    handler = createStreamHandler({ quota });
+  }
+
+  test('caps concurrent connections per IP and frees slots on close', () => {
+    createHandler({ maxConnectionsPerIp: 2 });
+
+    const first = connectClient(handler);
+    connectClient(handler);
+    const rejected = connectClient(handler);
+
+    assert.strictEqual(rejected.connectionId, null);
+    assert.strictEqual(rejected.ws.closeCode, StreamHandler.CLOSE_CODES.CONNECTION_LIMIT);
+    assert.notStrictEqual(connectClient(handler, '198.51.100.7').connectionId, null);
+
+    handler.closeConnection(first.connectionId, 'Test');
+    assert.notStrictEqual(connectClient(handler).connectionId, null);
+    assert.strictEqual(handler.connectionQuota.getStats().rejected.ipRejected, 1);
+  });
+
+  test('caps concurrent streams per client ID', async () => {
+    createHandler({ maxStreamsPerClient: 1 });
+
+    const first = connectClient(handler);
+    first.ws.emit('message', echoHeader(echoServer.address().port, Buffer.from('ping')));
+    await waitFor(() => received(first.ws) === 'ping');
+
+    const second = connectClient(handler);
+    second.ws.emit('message', echoHeader(echoServer.address().port));
+    assert.strictEqual(second.ws.closeCode, StreamHandler.CLOSE_CODES.CONNECTION_LIMIT);
+    assert.strictEqual(handler.activeConnections.has(second.connectionId), false);
+
+    handler.closeConnection(first.connectionId, 'Test');
+    const third = connectClient(handler);
+    third.ws.emit('message', echoHeader(echoServer.address().port, Buffer.from('pong')));
+    await waitFor(() => received(third.ws) === 'pong');
+  });
+
+  test('closes a stream once the client byte quota is used up', async () => {
+    createHandler({ bytesPerWindow: 12 });
+
+    const { ws, connectionId } = connectClient(handler);
+    ws.emit('message', echoHeader(echoServer.address().port, Buffer.from('hello')));
+    await waitFor(() => received(ws) === 'hello');
+
+    // 5 bytes out and 5 echoed back leave 2 bytes of quota
+    ws.emit('message', Buffer.from('again'));
+    assert.strictEqual(ws.closeCode, StreamHandler.CLOSE_CODES.BYTE_QUOTA_EXCEEDED);
+    assert.strictEqual(handler.activeConnections.has(connectionId), false);
+    assert.strictEqual(handler.connectionQuota.getStats().rejected.quotaExceeded, 1);
+  });
+
+  test('counts bytes from the target against the quota', async () => {
+    createHandler({ bytesPerWindow: 8 });
+
+    const { ws, connectionId } = connectClient(handler);
+    ws.emit('message', echoHeader(echoServer.address().port, Buffer.from('hello')));
+
+    await waitFor(() => ws.readyState === 3);
+    assert.strictEqual(ws.closeCode, StreamHandler.CLOSE_CODES.BYTE_QUOTA_EXCEEDED);
+    assert.strictEqual(received(ws), '');
+    assert.strictEqual(handler.activeConnections.has(connectionId), false);
+  });
+});
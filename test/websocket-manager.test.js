@@ -0,0 +1,236 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const StreamHandler = require('../src/websocket-manager');
+const {
+  CLIENT_ID,
+  buildVlessHeader,
+  closeAllConnections,
+  connectClient,
+  createStreamHandler,
+  echoHeader,
+  received,
+  startEchoServer,
+  waitFor
+} = require('./helpers');
+
+/**
+ * Count active timers and TCP handles in this process
+ */
+function countResources() {
+  const resources = process.getActiveResourcesInfo();
+  return {
+    timers: resources.filter(type => type === 'Timeout').length,
+    sockets: resources.filter(type => type === 'TCPSocketWrap').length
+  };
+}
+
+describe('StreamHandler relay', () => {
+  let server;
+  let serverSockets;
+  let handler;
+
+  beforeEach(async () => {
+    serverSockets = new Set();
+    server = await startEchoServer(socket => {
+      serverSockets.add(socket);
+      socket.on('close', () => serverSockets.delete(socket));
+    });
+    handler = createStreamHandler();
+  });
+
+  afterEach(async () => {
+    closeAllConnections(handler);
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  /**
+   * Run an action on the next tick after the egress check resolves, when the
+   * outbound TCP connect has just been started
+   */
+  function afterEgressCheck(action) {
+    const check = handler.egressPolicy.check.bind(handler.egressPolicy);
+    handler.egressPolicy.check = async (...args) => {
+      const decision = await check(...args);
+      process.nextTick(action);
+      return decision;
+    };
+  }
+
+  /**
+   * Wait until the echo server has seen every socket closed and the process is
+   * back to its baseline of timers and sockets
+   */
+  async function assertReleased(baseline) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await waitFor(() => {
+      const current = countResources();
+      return serverSockets.size === 0 && current.timers <= baseline.timers && current.sockets <= baseline.sockets;
+    });
+  }
+
+  test('starts in dashboard mode and sends dashboard data', () => {
+    const { ws, connectionId } = connectClient(handler);
+
+    const connection = handler.activeConnections.get(connectionId);
+    assert.strictEqual(connection.stage, 'dashboard');
+    assert.ok(connection.dashboardInterval);
+    assert.strictEqual(JSON.parse(ws.sent[0]).type, 'dashboard_update');
+  });
+
+  test('assembles a header split into single-byte frames', async () => {
+    const { ws, connectionId } = connectClient(handler);
+    const header = echoHeader(server.address().port, Buffer.from('fragmented'));
+
+    for (const byte of header) {
+      ws.emit('message', Buffer.from([byte]));
+    }
+
+    await waitFor(() => received(ws) === 'fragmented');
+    assert.strictEqual(ws.readyState, 1);
+    assert.strictEqual(handler.activeConnections.get(connectionId).stage, 'streaming');
+  });
+
+  test('assembles a header split at every boundary', async () => {
+    const header = echoHeader(server.address().port, Buffer.from('split'));
+
+    for (let cut = 1; cut < header.length; cut++) {
+      const { ws, connectionId } = connectClient(handler);
+      ws.emit('message', header.subarray(0, cut));
+      assert.strictEqual(ws.readyState, 1, `cut at ${cut}`);
+      ws.emit('message', header.subarray(cut));
+
+      await waitFor(() => received(ws) === 'split');
+      handler.closeConnection(connectionId, 'Test');
+    }
+  });
+
+  test('forwards frames sent while the target is still connecting', async () => {
+    const { ws } = connectClient(handler);
+
+    ws.emit('message', echoHeader(server.address().port, Buffer.from('one ')));
+    ws.emit('message', Buffer.from('two '));
+    ws.emit('message', Buffer.from('three'));
+
+    await waitFor(() => received(ws) === 'one two three');
+  });
+
+  test('closes with 1008 once buffered data is invalid', () => {
+    const { ws, connectionId } = connectClient(handler);
+    const header = buildVlessHeader({ addressType: 9 });
+
+    ws.emit('message', header.subarray(0, 10));
+    assert.strictEqual(ws.readyState, 1);
+    ws.emit('message', header.subarray(10));
+
+    assert.strictEqual(ws.closeCode, 1008);
+    assert.strictEqual(handler.activeConnections.has(connectionId), false);
+  });
+
+  test('closeConnection clears timers, destroys the target and releases quota', async () => {
+    const { ws, connectionId } = connectClient(handler);
+    ws.emit('message', echoHeader(server.address().port, Buffer.from('ping')));
+    await waitFor(() => received(ws) === 'ping');
+
+    const connection = handler.activeConnections.get(connectionId);
+    const targetSocket = connection.targetConnection;
+    assert.strictEqual(connection.dashboardInterval, null);
+    assert.strictEqual(serverSockets.size, 1);
+
+    assert.strictEqual(handler.closeConnection(connectionId, 'Test'), true);
+    assert.strictEqual(handler.closeConnection(connectionId, 'Test'), false);
+
+    assert.strictEqual(targetSocket.destroyed, true);
+    assert.strictEqual(ws.readyState, 3);
+    assert.strictEqual(handler.activeConnections.size, 0);
+    assert.deepStrictEqual(handler.connectionQuota.getStats().trackedIps, 0);
+    assert.deepStrictEqual(handler.connectionQuota.getStats().activeClients, 0);
+    await waitFor(() => serverSockets.size === 0);
+  });
+
+  test('cleans up when the client closes the WebSocket', async () => {
+    const { ws, connectionId } = connectClient(handler);
+    ws.emit('message', echoHeader(server.address().port, Buffer.from('ping')));
+    await waitFor(() => received(ws) === 'ping');
+
+    ws.emit('close', 1000, Buffer.from(''));
+
+    assert.strictEqual(handler.activeConnections.has(connectionId), false);
+    await waitFor(() => serverSockets.size === 0);
+  });
+
+  test('cleans up when the target closes the socket', async () => {
+    const { ws, connectionId } = connectClient(handler);
+    ws.emit('message', echoHeader(server.address().port, Buffer.from('ping')));
+    await waitFor(() => received(ws) === 'ping');
+
+    for (const socket of serverSockets) {
+      socket.destroy();
+    }
+
+    await waitFor(() => !handler.activeConnections.has(connectionId));
+    assert.strictEqual(ws.readyState, 3);
+  });
+
+  test('leaves no timers or sockets behind', async () => {
+    const baseline = countResources();
+
+    for (let i = 0; i < 5; i++) {
+      const { ws, connectionId } = connectClient(handler);
+      ws.emit('message', echoHeader(server.address().port, Buffer.from(`run ${i}`)));
+      await waitFor(() => received(ws) === `run ${i}`);
+      handler.closeConnection(connectionId, 'Test');
+    }
+    const { connectionId: dashboardOnly } = connectClient(handler);
+    handler.closeConnection(dashboardOnly, 'Test');
+
+    await waitFor(() => {
+      const current = countResources();
+      return current.timers <= baseline.timers && current.sockets <= baseline.sockets;
+    });
+  });
+
+  test('leaves nothing behind when closed during the egress check', async () => {
+    const baseline = countResources();
+    const { ws, connectionId } = connectClient(handler);
+
+    ws.emit('message', echoHeader(server.address().port, Buffer.from('ping')));
+    assert.strictEqual(handler.activeConnections.get(connectionId).stage, 'detected');
+    handler.closeConnection(connectionId, 'Test');
+
+    await assertReleased(baseline);
+    assert.strictEqual(received(ws), '');
+  });
+
+  test('destroys the target socket when closed while it is still connecting', async () => {
+    const baseline = countResources();
+    const { ws, connectionId } = connectClient(handler);
+    let connecting = null;
+    afterEgressCheck(() => {
+      const connection = handler.activeConnections.get(connectionId);
+      connecting = connection.stage === 'detected' && connection.targetConnection.connecting;
+      handler.closeConnection(connectionId, 'Test');
+    });
+
+    ws.emit('message', echoHeader(server.address().port, Buffer.from('ping')));
+
+    await waitFor(() => connecting !== null);
+    assert.strictEqual(connecting, true);
+    assert.strictEqual(handler.activeConnections.size, 0);
+    await assertReleased(baseline);
+    assert.strictEqual(received(ws), '');
+  });
+
+  test('destroys the target socket when the client is revoked while connecting', async () => {
+    const baseline = countResources();
+    const { ws, connectionId } = connectClient(handler);
+    afterEgressCheck(() => handler.dataProcessor.clientRegistry.revoke(CLIENT_ID));
+
+    ws.emit('message', echoHeader(server.address().port, Buffer.from('ping')));
+
+    await waitFor(() => ws.readyState === 3);
+    assert.strictEqual(ws.closeCode, StreamHandler.CLOSE_CODES.CLIENT_REVOKED);
+    assert.strictEqual(handler.activeConnections.has(connectionId), false);
+    await assertReleased(baseline);
+    assert.deepStrictEqual(handler.connectionQuota.getStats().activeClients, 0);
+  });
+});